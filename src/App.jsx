@@ -8,11 +8,16 @@ import TextureCompression from './TextureCompression';
 import ModelCompression from './ModelCompression';
 import Model from './Model';
 import OptimizationResultsModal from './OptimizationResultsModal';
+import { MODEL_EXTENSIONS, findModelFile, getDroppedFiles, getFileExtension } from './modelLoader';
 import { mod } from 'three/tsl';
 
+// Files that can be uploaded next to a model for it to reference
+const RESOURCE_EXTENSIONS = ['mtl', 'bin', 'png', 'jpg', 'jpeg', 'webp', 'tga'];
+
 const App = () => {
   const [selectedTab, setSelectedTab] = useState('model-compression');
   const [modelFile, setModelFile] = useState(null);
+  const [resourceFiles, setResourceFiles] = useState([]); // Files uploaded with the model that it may reference (.mtl, textures)
   const [imageFile, setImageFile] = useState(null);
   const [showTexturePopup, setShowTexturePopup] = useState(false);
   const [isDragOver, setIsDragOver] = useState(false);
@@ -29,6 +34,7 @@ const App = () => {
   const [showOptimizationPopup, setShowOptimizationPopup] = useState(false);
   const [inputFileModel, setInputFileModel] = useState([{ name: modelFile?.name || '' }]);
   const [wireframe, setWireframe] = useState(false);
+  const [lodLevel, setLodLevel] = useState('auto');
 
   const sidebarTabs = [
     { id: 'model-compression', icon: Package, label: 'Model Compression' },
@@ -38,12 +44,22 @@ const App = () => {
     setOptimizedModelFile(optimizedModel);
   };
 
+  // The model among several files; the rest are kept for resolving its references
+  const selectModelFiles = (files) => {
+    const model = findModelFile(files);
+    if (!model) return false;
+    setModelFile(model);
+    setResourceFiles(files.filter((file) => file !== model));
+    setSelectedTab('model-compression');
+    console.log('Model file loaded:', model.name);
+    return true;
+  };
+
   const handleFileUpload = (event, type) => {
     const file = event.target.files[0];
     if (file) {
       if (type === 'model') {
-        setModelFile(file);
-        setSelectedTab('model-compression');
+        selectModelFiles(Array.from(event.target.files));
       } else if (type === 'image') {
         setImageFile(file);
         setShowTexturePopup(true);
@@ -51,21 +67,19 @@ const App = () => {
     }
   };
 
-  const handleDrop = (event) => {
+  const handleDrop = async (event) => {
     event.preventDefault();
     dragCounter.current = 0; // Reset counter
     setIsDragOver(false);
-    const files = Array.from(event.dataTransfer.files);
+    const files = await getDroppedFiles(event.dataTransfer); // Dropped folders are read recursively
     if (files.length === 0) return;
 
+    if (selectModelFiles(files)) return;
+
     const file = files[0];
-    const fileExtension = file.name.split('.').pop().toLowerCase();
+    const fileExtension = getFileExtension(file.name);
 
-    if (['glb', 'gltf', 'obj', 'fbx'].includes(fileExtension)) {
-      setModelFile(file);
-      setSelectedTab('model-compression');
-      console.log('Model file loaded:', file.name);
-    } else if (['jpg', 'jpeg', 'png', 'webp'].includes(fileExtension)) {
+    if (['jpg', 'jpeg', 'png', 'webp'].includes(fileExtension)) {
       setImageFile(file);
       setShowTexturePopup(true);
       console.log('Image file loaded:', file.name);
@@ -105,6 +119,7 @@ const App = () => {
         return (
           <ModelCompression
             modelFile={modelFile}
+            resourceFiles={resourceFiles}
             modelInfo={modelInfo}
             onOptimizationComplete={handleOptimizedModel}
             optimizationInProgress={optimizationInProgress}
@@ -119,6 +134,8 @@ const App = () => {
             setInputFileModel={setInputFileModel}
             wireframe={wireframe}
   setWireframe={setWireframe}
+            lodLevel={lodLevel}
+            setLodLevel={setLodLevel}
           />
 
         );
@@ -191,7 +208,8 @@ const App = () => {
               <input
                 type="file"
                 className="hidden"
-                accept=".glb,.gltf,.obj,.fbx"
+                accept={[...MODEL_EXTENSIONS, ...RESOURCE_EXTENSIONS].map((extension) => `.${extension}`).join(',')}
+                multiple
                 onChange={(e) => handleFileUpload(e, 'model')}
                 disabled={modelFile !== null || showTexturePopup}
               />
@@ -245,9 +263,11 @@ const App = () => {
             <Stage adjustCamera intensity={0.5} shadows="contact" environment="city">
               <Model
                 modelFile={optimizedModelFile || modelFile}
+                resourceFiles={resourceFiles}
                 setModelInfo={setModelInfo}
                 setIsLoading={setIsLoading}
                  wireframe={wireframe}
+                lodLevel={lodLevel}
               />
             </Stage>
           </Canvas>
@@ -287,6 +307,13 @@ const App = () => {
             </div>
           )}
 
+          {/* Load Error */}
+          {!isLoading && modelInfo?.error && (
+            <div className="absolute top-4 left-1/2 -translate-x-1/2 z-20 bg-red-50 border border-red-300 text-red-700 text-sm px-4 py-2 rounded-lg shadow max-w-xl">
+              Could not display model: {modelInfo.error}
+            </div>
+          )}
+
           {/* Drop Zone Overlay */}
           {!modelFile && !imageFile && isDragOver && (
             <div className="absolute inset-0  bg-opacity-20 border-2 border-dashed border-blue-400 flex items-center justify-center z-10">
@@ -294,7 +321,7 @@ const App = () => {
                 <Upload size={48} className="mx-auto text-blue-500 mb-4" />
                 <p className="text-lg font-medium text-gray-700">Drop your file here</p>
                 <p className="text-sm text-gray-500 mt-2">
-                  Supports: Models (.glb, .gltf, .obj, .fbx) or Images (.jpg, .png, .webp)
+                  Supports: Models (.glb, .gltf, .obj, .fbx, or a folder with the model and its .bin, .mtl and textures) or Images (.jpg, .png, .webp)
                 </p>
               </div>
             </div>
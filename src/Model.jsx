@@ -3,14 +3,17 @@ import { Upload, Image, Package } from 'lucide-react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls, useGLTF, useFBX, useProgress, Stage } from '@react-three/drei';
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
+import { loadModel } from './modelLoader';
+import { getKtx2Loader } from './ktx2Decoder';
+import { GLTFLodLoaderPlugin, applyScreenCoverage } from './lodExtension';
 
+// Coarser LOD levels are alternates of level 0, not extra meshes
+const isCoarseLodLevel = (object) =>
+  object.parent && object.parent.isLOD && object.parent.levels[0].object !== object;
 
 // Component to handle model rendering
-const Model = ({ modelFile, setModelInfo, setIsLoading,wireframe }) => {
-  const { scene, camera } = useThree();
+const Model = ({ modelFile, resourceFiles = [], setModelInfo, setIsLoading,wireframe, lodLevel = 'auto' }) => {
+  const { scene, camera, gl } = useThree();
   const modelRef = useRef();
   const [model, setModel] = useState(null);
   // Add this useEffect after the main useEffect (around line 100):
@@ -30,36 +33,42 @@ useEffect(() => {
   }
 }, [wireframe, model]);
 
+  // Force a single LOD level, or hand switching back to THREE.LOD in auto mode
+  useEffect(() => {
+    if (!model) return;
+    model.traverse((child) => {
+      if (!child.isLOD) return;
+      if (lodLevel === 'auto') {
+        child.autoUpdate = true;
+      } else {
+        child.autoUpdate = false;
+        const forcedLevel = Math.min(Number(lodLevel), child.levels.length - 1);
+        child.levels.forEach((level, i) => {
+          level.object.visible = i === forcedLevel;
+        });
+      }
+    });
+  }, [lodLevel, model]);
+
   useEffect(() => {
     if (!modelFile) return;
 
     setIsLoading(true);
-    const fileURL = URL.createObjectURL(modelFile);
-    const fileExtension = modelFile.name.split('.').pop().toLowerCase();
-
-    let loader;
-    switch (fileExtension) {
-      case 'glb':
-      case 'gltf':
-        loader = GLTFLoader;
-        break;
-      default:
-        console.error('Unsupported file format');
-        setIsLoading(false);
-        return;
-    }
 
-    // Load model using R3F's useLoader
-    const loadModel = async () => {
+    const loadAndFrameModel = async () => {
       try {
-        const result = await new loader().loadAsync(fileURL, (event) => {
-          if (event.lengthComputable) {
-            const progress = Math.round((event.loaded / event.total) * 100);
-            setModelInfo({ progress });
-          }
+        getKtx2Loader(gl); // KTX2 textures are transcoded to a format this renderer supports
+        const result = await loadModel(modelFile, resourceFiles, {
+          gltfPlugins: [(parser) => new GLTFLodLoaderPlugin(parser)],
+          onProgress: (event) => {
+            if (event.lengthComputable) {
+              const progress = Math.round((event.loaded / event.total) * 100);
+              setModelInfo({ progress });
+            }
+          },
         });
 
-        let loadedModel = fileExtension === 'glb' || fileExtension === 'gltf' ? result.scene : result;
+        let loadedModel = result.scene;
 
         // Center and scale model
         const box = new THREE.Box3().setFromObject(loadedModel);
@@ -90,6 +99,16 @@ useEffect(() => {
           }
         });
 
+        // LOD switch distances depend on the final world-space size
+        loadedModel.updateMatrixWorld(true);
+        let lodCount = 0;
+        loadedModel.traverse((child) => {
+          if (child.isLOD) {
+            applyScreenCoverage(child, camera.fov);
+            lodCount = Math.max(lodCount, child.levels.filter((level) => level.object.isMesh || level.object.children.length > 0).length);
+          }
+        });
+
         // Update camera and controls
         const newBox = new THREE.Box3().setFromObject(loadedModel);
         const newCenter = newBox.getCenter(new THREE.Vector3());
@@ -115,30 +134,27 @@ useEffect(() => {
           triangles: triangleCount,
           materials: materialCount,
           meshes: meshCount,
+          lodCount,
+          missingFiles: result.missing,
           progress: 100,
         });
 
         setIsLoading(false);
-        URL.revokeObjectURL(fileURL);
       } catch (error) {
         console.error('Error loading model:', error);
+        setModelInfo({ error: error instanceof Error ? error.message : String(error) });
         setIsLoading(false);
-        URL.revokeObjectURL(fileURL);
       }
     };
 
-    loadModel();
-
-    return () => {
-      URL.revokeObjectURL(fileURL);
-    };
-  }, [modelFile, scene, camera, setIsLoading, setModelInfo]);
+    loadAndFrameModel();
+  }, [modelFile, resourceFiles, scene, camera, gl, setIsLoading, setModelInfo]);
 
-  // Count triangles
+  // Count triangles of the full-detail level
   const countTriangles = (model) => {
     let triangles = 0;
     model.traverse((child) => {
-      if (child.isMesh && child.geometry) {
+      if (child.isMesh && child.geometry && !isCoarseLodLevel(child)) {
         if (child.geometry.index) {
           triangles += child.geometry.index.count / 3;
         } else if (child.geometry.attributes.position) {
@@ -169,7 +185,7 @@ useEffect(() => {
   const countMeshes = (model) => {
     let meshCount = 0;
     model.traverse((child) => {
-      if (child.isMesh) meshCount++;
+      if (child.isMesh && !isCoarseLodLevel(child)) meshCount++;
     });
     return meshCount;
   };
@@ -1,8 +1,14 @@
 import React, { useState } from 'react';
+import { MATERIAL_POLICIES } from './materialPolicy.js';
+import { OUTPUT_FORMATS } from './outputFormats.js';
+import { KTX2_SLOT_SETTINGS } from './ktx2Encoder.js';
+import { IMAGE_OUTPUT_FORMATS } from './webImageEncoder.js';
+import { TEXTURE_SLOTS, POWER_OF_TWO_MODES, DEFAULT_TEXTURE_SIZE_POLICY } from './textureSizePolicy.js';
 import { optimizeModels } from './ThreeJsUtils'; // Adjust path to your ThreeJsUtils file
 import OptimizationResultsModal from './OptimizationResultsModal'; // Adjust path or create this component
 
 const ModelCompression = ({ modelFile,
+  resourceFiles,
   modelInfo,
   onOptimizationComplete,
   optimizationInProgress,
@@ -17,15 +23,38 @@ const ModelCompression = ({ modelFile,
   setInputFileModel,
 wireframe,
   setWireframe,
+  lodLevel,
+  setLodLevel,
  }) => {
   // State for checkbox selections and slider value
   const [options, setOptions] = useState({
     useDracoCompression: false,
     compressTextures: false,
+    ktx2Textures: false,
+    packOrm: false,
     simplifyGeometry: false,
     removeDuplicateVertices: false,
+    generateLods: false,
+    optimizeVertexOrder: false,
+    quantizeAttributes: false,
+    repackGlb: true,
   });
   const [simplifyLevel, setSimplifyLevel] = useState(1); // Slider for simplification (0-100%)
+  const [maxDeviation, setMaxDeviation] = useState(1); // Max Hausdorff distance (% of bbox diagonal)
+  const [lodLevelsInput, setLodLevelsInput] = useState('100, 50, 25, 10'); // LOD chain as % of triangles kept
+  const [simplifyMode, setSimplifyMode] = useState('ratio'); // 'ratio' (same % per mesh) or 'budget' (scene-wide target)
+  const [triangleBudget, setTriangleBudget] = useState(10000);
+  const [budgetWeighting, setBudgetWeighting] = useState('screen-size');
+  const [quantizationBits, setQuantizationBits] = useState({ position: 14, normal: 8, uv: 12 }); // KHR_mesh_quantization bit depths
+  const [materialPolicy, setMaterialPolicy] = useState('preserve');
+  const [outputFormat, setOutputFormat] = useState('glb');
+  const [imageFormat, setImageFormat] = useState('keep');
+  const [imageQuality, setImageQuality] = useState(80);
+  const [imageFallback, setImageFallback] = useState(false);
+  const [textureSlotSizes, setTextureSlotSizes] = useState(DEFAULT_TEXTURE_SIZE_POLICY.slots); // Max size per slot, 0 for no limit
+  const [powerOfTwo, setPowerOfTwo] = useState(DEFAULT_TEXTURE_SIZE_POLICY.powerOfTwo);
+  const [textureOverridesInput, setTextureOverridesInput] = useState(''); // One "texture name: max size" per line
+  const [toksvigRoughness, setToksvigRoughness] = useState(DEFAULT_TEXTURE_SIZE_POLICY.toksvig);
 
   // State for optimization process
    // Mock inputFileModel
@@ -41,6 +70,32 @@ wireframe,
     setSimplifyLevel(e.target.value);
   };
 
+  // Handle tolerance change for the surface deviation check
+  const handleMaxDeviationChange = (e) => {
+    setMaxDeviation(e.target.value);
+  };
+
+  // Parse the comma-separated LOD percentages into descending keep ratios
+  const parseLodLevels = (value) => {
+    const levels = value
+      .split(',')
+      .map((part) => parseFloat(part) / 100)
+      .filter((ratio) => ratio > 0 && ratio <= 1);
+    return [...new Set([1, ...levels])].sort((a, b) => b - a);
+  };
+
+  // Parse "name: size" lines into texture name -> max size; the name may itself contain colons
+  const parseTextureOverrides = (value) => {
+    const overrides = {};
+    for (const line of value.split('\n')) {
+      const separator = line.lastIndexOf(':');
+      if (separator <= 0) continue;
+      const size = parseInt(line.slice(separator + 1), 10);
+      if (size >= 0) overrides[line.slice(0, separator).trim()] = size;
+    }
+    return overrides;
+  };
+
   // Handle model compression
 const handleCompressModel = async () => {
   if (!modelFile) return;
@@ -51,9 +106,32 @@ const handleCompressModel = async () => {
   const optimizationConfig = {
     useDraco: options.useDracoCompression,
     useTextureCompression: options.compressTextures,
+    textureSizePolicy: {
+      slots: textureSlotSizes,
+      powerOfTwo,
+      overrides: parseTextureOverrides(textureOverridesInput),
+      toksvig: toksvigRoughness,
+    }, // Per-slot max sizes, see textureSizePolicy.js
+    packOrm: options.packOrm, // Merge occlusion, roughness and metalness maps into one texture, see ormPacker.js
+    ktx2Textures: options.ktx2Textures, // Encode embedded textures to KTX2 (KHR_texture_basisu), see ktx2Encoder.js
+    imageFormat, // 'keep', 'webp' or 'avif': re-encode remaining PNG/JPEG images, see webImageEncoder.js
+    imageQuality: imageQuality / 100,
+    imageFallback, // Keep the PNG/JPEG original as fallback source
     simplifyGeometry: options.simplifyGeometry,
     removeDuplicates: options.removeDuplicateVertices,
     simplificationRatio: simplifyLevel / 100, // Convert percentage to ratio (0-1)
+    triangleBudget: simplifyMode === 'budget' ? Number(triangleBudget) : null, // Total triangles spread across meshes
+    budgetWeighting,
+    simplificationMethod: 'quadric', // 'quadric' (seam-aware edge collapse) or 'modifier' (three's SimplifyModifier)
+    maxSurfaceDeviation: maxDeviation / 100, // Reject results whose Hausdorff distance exceeds this fraction of the bbox diagonal
+    generateLods: options.generateLods,
+    optimizeVertexOrder: options.optimizeVertexOrder, // Reorder triangles/vertices for vertex cache, overdraw and fetch
+    quantizeAttributes: options.quantizeAttributes, // Store attributes as 8/16-bit integers (KHR_mesh_quantization)
+    quantizationBits,
+    materialPolicy, // 'preserve' or 'convert-legacy', see materialPolicy.js
+    outputFormat, // Download container, see OUTPUT_FORMATS in outputFormats.js
+    repackGlb: options.repackGlb, // Lossless JSON/BIN-level clean-up, also applied when nothing else is selected
+    lodLevels: parseLodLevels(lodLevelsInput),
     embedImages: false, // Set based on your requirements
   };
 
@@ -65,16 +143,19 @@ const handleCompressModel = async () => {
       setInputFileModel,
       inputFileModel,
       setShowOptimizationPopup,
-      setAffectedNodes
+      setAffectedNodes,
+      resourceFiles
     );
     
     // Check if we got results and send the optimized model back
     if (result && result.optimizedModels && result.optimizedModels.length > 0) {
-      // Create a File object from the optimized blob
+      // Create a File object from the optimized blob, named for its format so the viewer picks the right loader
+      const { optimizedBlob } = result.optimizedModels[0];
+      const outputExtension = { 'model/gltf-binary': '.glb', 'model/gltf+json': '.gltf' }[optimizedBlob.type];
       const optimizedModel = new File(
-        [result.optimizedModels[0].optimizedBlob],
-        modelFile.name,
-        { type: 'model/gltf-binary' }
+        [optimizedBlob],
+        outputExtension ? modelFile.name.replace(/\.[^.]+$/, '') + outputExtension : modelFile.name,
+        { type: optimizedBlob.type || 'model/gltf-binary' }
       );
       
       // Pass the optimized model to the parent component
@@ -120,8 +201,130 @@ const handleCompressModel = async () => {
                   onChange={handleOptionChange}
                   className="h-4 w-4 text-red-600 border-gray-300 rounded"
                 />
-                <span className="text-sm text-gray-700">Compress Textures</span>
+                <span className="text-sm text-gray-700">Resize Textures</span>
+              </label>
+
+              {options.compressTextures && (
+                <div className="ml-6 space-y-2">
+                  <div className="grid grid-cols-2 gap-2">
+                    {Object.entries(TEXTURE_SLOTS).map(([slot, { label }]) => (
+                      <label key={slot} className="block text-sm text-gray-700">
+                        {label}
+                        <input
+                          type="number"
+                          min="0"
+                          step="256"
+                          value={textureSlotSizes[slot]}
+                          onChange={(e) => setTextureSlotSizes((prev) => ({ ...prev, [slot]: Number(e.target.value) }))}
+                          className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500">Longest side in pixels, 0 for no limit. Aspect ratio is kept.</p>
+                  <select
+                    value={powerOfTwo}
+                    onChange={(e) => setPowerOfTwo(e.target.value)}
+                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                  >
+                    {Object.entries(POWER_OF_TWO_MODES).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="block text-sm text-gray-700">
+                    Per-texture overrides
+                    <textarea
+                      rows="3"
+                      value={textureOverridesInput}
+                      onChange={(e) => setTextureOverridesInput(e.target.value)}
+                      placeholder={'Hero_BaseColor: 4096\nDecal_Normal: 0'}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+                    />
+                  </label>
+                  <p className="text-xs text-gray-500">One texture name and max size per line; 0 keeps the original size.</p>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={toksvigRoughness}
+                      onChange={(e) => setToksvigRoughness(e.target.checked)}
+                      className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Raise roughness for downsized normal maps (Toksvig)</span>
+                  </label>
+                </div>
+              )}
+
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  name="packOrm"
+                  checked={options.packOrm}
+                  onChange={handleOptionChange}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">Pack AO/Roughness/Metalness into one ORM texture</span>
+              </label>
+
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  name="ktx2Textures"
+                  checked={options.ktx2Textures}
+                  onChange={handleOptionChange}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">GPU Textures (KTX2 / Basis Universal)</span>
               </label>
+
+              {options.ktx2Textures && (
+                <ul className="ml-6 text-xs text-gray-500">
+                  {Object.entries(KTX2_SLOT_SETTINGS).map(([slot, { label }]) => (
+                    <li key={slot}>
+                      <span className="capitalize">{slot}</span> textures: {label}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="space-y-1">
+                <label className="block text-sm font-medium text-gray-700">Embedded Images</label>
+                <select
+                  value={imageFormat}
+                  onChange={(e) => setImageFormat(e.target.value)}
+                  className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                >
+                  {Object.entries(IMAGE_OUTPUT_FORMATS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                {imageFormat !== 'keep' && (
+                  <div className="ml-6 space-y-1">
+                    <label className="block text-sm font-medium text-gray-700">
+                      Quality: <span>{imageQuality}</span>
+                    </label>
+                    <input
+                      type="range"
+                      min="10"
+                      max="100"
+                      value={imageQuality}
+                      onChange={(e) => setImageQuality(Number(e.target.value))}
+                      className="w-full"
+                    />
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={imageFallback}
+                        onChange={(e) => setImageFallback(e.target.checked)}
+                        className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                      />
+                      <span className="text-sm text-gray-700">Keep PNG/JPEG fallback</span>
+                    </label>
+                  </div>
+                )}
+              </div>
               <label className="flex items-center space-x-2">
   <input
     type="checkbox"
@@ -145,15 +348,61 @@ const handleCompressModel = async () => {
               {/* Simplify Geometry Slider */}
               {options.simplifyGeometry && (
                 <div className="ml-6 space-y-1">
+                  <select
+                    value={simplifyMode}
+                    onChange={(e) => setSimplifyMode(e.target.value)}
+                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                  >
+                    <option value="ratio">Same reduction for every mesh</option>
+                    <option value="budget">Target total triangles</option>
+                  </select>
+                  {simplifyMode === 'ratio' ? (
+                    <>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Simplification Level: <span >{simplifyLevel}% reduction</span>
+                      </label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={simplifyLevel}
+                        onChange={handleSimplifyLevelChange}
+                        className="w-full"
+                      />
+                    </>
+                  ) : (
+                    <>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Total Triangles{modelInfo?.triangles ? ` (currently ${modelInfo.triangles.toLocaleString()})` : ''}
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={triangleBudget}
+                        onChange={(e) => setTriangleBudget(e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                      />
+                      <label className="block text-sm font-medium text-gray-700">Weight Meshes By</label>
+                      <select
+                        value={budgetWeighting}
+                        onChange={(e) => setBudgetWeighting(e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                      >
+                        <option value="screen-size">Screen size</option>
+                        <option value="surface-area">Surface area</option>
+                      </select>
+                    </>
+                  )}
                   <label className="block text-sm font-medium text-gray-700">
-                    Simplification Level: <span >{simplifyLevel}% reduction</span>
+                    Max Surface Deviation: <span>{maxDeviation}% of bounding box</span>
                   </label>
                   <input
                     type="range"
-                    min="0"
-                    max="100"
-                    value={simplifyLevel}
-                    onChange={handleSimplifyLevelChange}
+                    min="0.1"
+                    max="5"
+                    step="0.1"
+                    value={maxDeviation}
+                    onChange={handleMaxDeviationChange}
                     className="w-full"
                   />
                 </div>
@@ -169,9 +418,144 @@ const handleCompressModel = async () => {
                 />
                 <span className="text-sm text-gray-700">Remove Duplicate Vertices</span>
               </label>
+
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  name="optimizeVertexOrder"
+                  checked={options.optimizeVertexOrder}
+                  onChange={handleOptionChange}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">GPU-friendly Ordering</span>
+              </label>
+
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  name="quantizeAttributes"
+                  checked={options.quantizeAttributes}
+                  onChange={handleOptionChange}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">Quantize Attributes (KHR_mesh_quantization)</span>
+              </label>
+
+              {options.quantizeAttributes && (
+                <div className="ml-6 grid grid-cols-3 gap-2">
+                  {['position', 'normal', 'uv'].map((kind) => (
+                    <label key={kind} className="block text-sm text-gray-700">
+                      <span className="capitalize">{kind}</span> bits
+                      <input
+                        type="number"
+                        min="8"
+                        max="16"
+                        value={quantizationBits[kind]}
+                        onChange={(e) => setQuantizationBits((prev) => ({ ...prev, [kind]: Number(e.target.value) }))}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              <div className="space-y-1">
+                <label className="block text-sm font-medium text-gray-700">Materials</label>
+                <select
+                  value={materialPolicy}
+                  onChange={(e) => setMaterialPolicy(e.target.value)}
+                  className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                >
+                  {Object.entries(MATERIAL_POLICIES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  name="repackGlb"
+                  checked={options.repackGlb}
+                  onChange={handleOptionChange}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">Lossless Repack (dedupe and prune unused data)</span>
+              </label>
+
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  name="generateLods"
+                  checked={options.generateLods}
+                  onChange={handleOptionChange}
+                  className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">Generate LOD Chain (MSFT_lod)</span>
+              </label>
+
+              {options.generateLods && (
+                <div className="ml-6 space-y-1">
+                  <label className="block text-sm font-medium text-gray-700">LOD Levels (% of triangles)</label>
+                  <input
+                    type="text"
+                    value={lodLevelsInput}
+                    onChange={(e) => setLodLevelsInput(e.target.value)}
+                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                  />
+                </div>
+              )}
+
+              {modelInfo?.lodCount > 1 && (
+                <div className="space-y-1">
+                  <label className="block text-sm font-medium text-gray-700">Preview LOD</label>
+                  <select
+                    value={lodLevel}
+                    onChange={(e) => setLodLevel(e.target.value)}
+                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                  >
+                    <option value="auto">Auto (screen coverage)</option>
+                    {Array.from({ length: modelInfo.lodCount }, (_, i) => (
+                      <option key={i} value={i}>
+                        LOD {i}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
           </div>
 
+          <div className="space-y-1">
+            <label className="block text-sm font-medium text-gray-700">Output Format</label>
+            <select
+              value={outputFormat}
+              onChange={(e) => setOutputFormat(e.target.value)}
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              {Object.entries(OUTPUT_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* References the upload didn't include; optimizing goes ahead without them */}
+          {modelInfo?.missingFiles?.length > 0 && (
+            <div className="bg-amber-50 border border-amber-300 text-amber-800 text-sm rounded p-2">
+              <p className="font-medium">Missing files referenced by the model:</p>
+              <ul className="list-disc ml-5">
+                {modelInfo.missingFiles.map((name) => (
+                  <li key={name} className="break-all">{name}</li>
+                ))}
+              </ul>
+              <p className="mt-1">Drop them together with the model, or the whole folder, to include them.</p>
+            </div>
+          )}
+
           {/* Compress Button */}
           <button
             onClick={handleCompressModel}
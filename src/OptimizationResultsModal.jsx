@@ -17,11 +17,21 @@ export default function OptimizationResultsModal({
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const handleDownloadOptimizedModel = (blob, fileName) => {
-    const url = URL.createObjectURL(blob);
+  // Surface deviation is stored relative to the bbox diagonal
+  const formatDeviation = (relative) => {
+    if (relative === undefined || relative === null || !isFinite(relative)) return '-';
+    return `${(relative * 100).toFixed(3)}%`;
+  };
+
+  // Outputs that fail validation are not offered for download
+  const hasValidationErrors = (result) => result?.validation?.errors.length > 0;
+
+  // `download` holds the output packaged in the selected format, with its file name
+  const handleDownloadOptimizedModel = (download) => {
+    const url = URL.createObjectURL(download.blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `optimized_${fileName}.glb`;
+    link.download = `optimized_${download.fileName}`;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -64,10 +74,19 @@ export default function OptimizationResultsModal({
                 ></div>
               </div>
               <h3 className="font-semibold">{fileData.fileName}</h3>
-              {optimizationResults[fileIndex]?.optimizedBlob &&
-                optimizationResults[fileIndex]?.optimizedSize !== optimizationResults[fileIndex]?.originalSize && (
+              {optimizationResults[fileIndex]?.status === 'optimized' && hasValidationErrors(optimizationResults[fileIndex]) && (
+                <span
+                  className="ml-2 px-2 py-1 text-sm rounded-lg border-2 border-red-300 text-red-600 cursor-not-allowed"
+                  title="The output does not pass glTF validation; see the errors below"
+                >
+                  Download blocked
+                </span>
+              )}
+              {optimizationResults[fileIndex]?.download &&
+                optimizationResults[fileIndex]?.status === 'optimized' &&
+                !hasValidationErrors(optimizationResults[fileIndex]) && (
                   <button
-                    onClick={() => handleDownloadOptimizedModel(optimizationResults[fileIndex].optimizedBlob, fileData.fileName)}
+                    onClick={() => handleDownloadOptimizedModel(optimizationResults[fileIndex].download)}
                     className="ml-2 flex items-center gap-1 bg-white border-2 border-[#EA580B] text-[#EA580B] px-2 py-1 text-sm rounded-lg hover:bg-[#EA580B] hover:text-white"
                   >
                     <svg
@@ -88,6 +107,39 @@ export default function OptimizationResultsModal({
                   </button>
                 )}
             </div>
+            {optimizationResults[fileIndex]?.status === 'no-gain' && (
+              <p className="text-sm text-gray-700 mt-2">No gain: nothing made this file smaller, so the original is kept unchanged.</p>
+            )}
+            {optimizationResults[fileIndex]?.status === 'failed' && (
+              <p className="text-sm text-red-600 mt-2">Optimization failed: {optimizationResults[fileIndex].error}</p>
+            )}
+            {optimizationResults[fileIndex]?.validation && (
+              <div className="text-sm mt-2">
+                {optimizationResults[fileIndex].validation.errors.length === 0 &&
+                optimizationResults[fileIndex].validation.warnings.length === 0 ? (
+                  <p className="text-gray-700">glTF validation passed.</p>
+                ) : (
+                  <details open={optimizationResults[fileIndex].validation.errors.length > 0}>
+                    <summary className="cursor-pointer text-gray-700">
+                      glTF validation: {optimizationResults[fileIndex].validation.errors.length} errors,{' '}
+                      {optimizationResults[fileIndex].validation.warnings.length} warnings
+                    </summary>
+                    <ul className="mt-1 max-h-40 overflow-y-auto list-disc pl-5">
+                      {optimizationResults[fileIndex].validation.errors.map((issue, issueIndex) => (
+                        <li key={`error-${issueIndex}`} className="text-red-600 break-all">
+                          {issue}
+                        </li>
+                      ))}
+                      {optimizationResults[fileIndex].validation.warnings.map((issue, issueIndex) => (
+                        <li key={`warning-${issueIndex}`} className="text-amber-600 break-all">
+                          {issue}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            )}
             {optimizationResults[fileIndex] && (
               <div className="text-sm text-gray-600 mb-2 mt-2">
                 <table className="w-full border-collapse">
@@ -111,6 +163,21 @@ export default function OptimizationResultsModal({
                         %
                       </td>
                     </tr>
+                    {optimizationResults[fileIndex].textureMemory && (
+                      <tr className="border-t border-gray-200">
+                        <td className="py-1 px-2" title="Estimated GPU memory of the KTX2-encoded textures, compared to RGBA8">
+                          Texture VRAM (est.)
+                        </td>
+                        <td className="py-1 px-2 text-right">{formatFileSize(optimizationResults[fileIndex].textureMemory.before)}</td>
+                        <td className="py-1 px-2 text-right">{formatFileSize(optimizationResults[fileIndex].textureMemory.after)}</td>
+                        <td className="py-1 px-2 text-right text-[#EA580B]">
+                          {Math.round(
+                            (1 - optimizationResults[fileIndex].textureMemory.after / optimizationResults[fileIndex].textureMemory.before) * 100
+                          )}
+                          %
+                        </td>
+                      </tr>
+                    )}
                     <tr className="border-t border-gray-200">
                       <td className="py-1 px-2">Vertices</td>
                       <td className="py-1 px-2 text-right">
@@ -152,6 +219,81 @@ export default function OptimizationResultsModal({
                     </tr>
                   </tbody>
                 </table>
+                {optimizationResults[fileIndex].meshDeviations?.length > 0 && (
+                  <table className="w-full border-collapse mt-2">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="py-1 px-2 text-left">Mesh</th>
+                        <th className="py-1 px-2 text-right">Hausdorff</th>
+                        <th className="py-1 px-2 text-right">RMS</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {optimizationResults[fileIndex].meshDeviations.map((deviation, meshIndex) => (
+                        <tr key={`${deviation.name}-${meshIndex}`} className="border-t border-gray-200">
+                          <td className="py-1 px-2">{deviation.name}</td>
+                          <td className="py-1 px-2 text-right">{formatDeviation(deviation.relativeHausdorff)}</td>
+                          <td className="py-1 px-2 text-right">{formatDeviation(deviation.relativeRms)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {optimizationResults[fileIndex].meshBudgets?.length > 0 && (
+                  <table className="w-full border-collapse mt-2">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="py-1 px-2 text-left">Mesh</th>
+                        <th className="py-1 px-2 text-right">Original</th>
+                        <th className="py-1 px-2 text-right">Allocated</th>
+                        <th className="py-1 px-2 text-right">Achieved</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {optimizationResults[fileIndex].meshBudgets.map((budget, meshIndex) => (
+                        <tr key={`${budget.name}-${meshIndex}`} className="border-t border-gray-200">
+                          <td className="py-1 px-2">{budget.name}</td>
+                          <td className="py-1 px-2 text-right">{budget.original.toLocaleString()}</td>
+                          <td className="py-1 px-2 text-right">{budget.allocated.toLocaleString()}</td>
+                          <td className="py-1 px-2 text-right">{budget.achieved.toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {optimizationResults[fileIndex].quantization && (
+                  <p className="mt-2 text-sm text-gray-700">
+                    Quantized to {optimizationResults[fileIndex].quantization.bits.position}/
+                    {optimizationResults[fileIndex].quantization.bits.normal}/
+                    {optimizationResults[fileIndex].quantization.bits.uv} bits (position/normal/UV), max position error{' '}
+                    {optimizationResults[fileIndex].quantization.maxPositionError.toPrecision(3)} (
+                    {formatDeviation(optimizationResults[fileIndex].quantization.maxRelativeError)} of mesh size)
+                  </p>
+                )}
+                {optimizationResults[fileIndex].meshCacheStats?.length > 0 && (
+                  <table className="w-full border-collapse mt-2">
+                    <thead>
+                      <tr className="bg-gray-100">
+                        <th className="py-1 px-2 text-left">Mesh</th>
+                        <th className="py-1 px-2 text-right">ACMR</th>
+                        <th className="py-1 px-2 text-right">ATVR</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {optimizationResults[fileIndex].meshCacheStats.map((stats, meshIndex) => (
+                        <tr key={`${stats.name}-${meshIndex}`} className="border-t border-gray-200">
+                          <td className="py-1 px-2">{stats.name}</td>
+                          <td className="py-1 px-2 text-right">
+                            {stats.before.acmr.toFixed(2)} → {stats.after.acmr.toFixed(2)}
+                          </td>
+                          <td className="py-1 px-2 text-right">
+                            {stats.before.atvr.toFixed(2)} → {stats.after.atvr.toFixed(2)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
               </div>
             )}
           </div>
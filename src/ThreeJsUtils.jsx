@@ -1,11 +1,37 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
 import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js';
 import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
-
-const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/';
+import { clone as cloneWithSkeletons } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { GLTFLodExporterPlugin, defaultScreenCoverage } from './lodExtension.js';
+import { allocateTriangleBudget } from './triangleBudget.js';
+import { WorkerPool } from './workerPool.js';
+import { packGeometry, unpackGeometry } from './geometryTransfer.js';
+import { optimizeVertexOrder } from './vertexCacheOptimizer.js';
+import {
+  quantizeMesh,
+  findAnimatedNodes,
+  findGeometriesKeepingPositions,
+  GLTFMeshQuantizationExporterPlugin,
+} from './meshQuantization.js';
+import { compressGlbWithMeshopt } from './meshoptEncoder.js';
+import { repackGltf } from './glbRepacker.js';
+import { validateGltf } from './gltfValidator.js';
+import { OUTPUT_FORMATS, packageModel } from './outputFormats.js';
+import { applyMaterialPolicy } from './materialPolicy.js';
+import { applyTextureSizePolicy } from './textureSizePolicy.js';
+import { packOrmTextures } from './ormPacker.js';
+import { loadDracoEncoder, compressGlbWithDraco } from './dracoEncoder.js';
+import { getDracoLoader, describeDracoError } from './dracoDecoder.js';
+import { loadKtx2Encoder, compressGlbTexturesToKtx2, KTX2_SLOT_SETTINGS } from './ktx2Encoder.js';
+import { getKtx2Loader } from './ktx2Decoder.js';
+import { compressGlbImages } from './webImageEncoder.js';
+import { loadModel } from './modelLoader.js';
+
+// Fractions of the optimized triangle count kept by each generated LOD level
+const DEFAULT_LOD_LEVELS = [1, 0.5, 0.25, 0.1];
 
 // Improved normal calculation to produce smoother surfaces
 export function toCreasedNormals(geometry, creaseAngle = 10) {
@@ -319,26 +345,62 @@ export function preserveMaterialGroups(geometry) {
   return { groups: JSON.parse(JSON.stringify(geometry.groups)) };
 }
 
-export function restoreMaterialGroups(geometry, materialInfo) {
-  if (!materialInfo || !materialInfo.groups) return;
-  const oldIndexCount = geometry.index ? geometry.index.count : geometry.attributes.position.count;
-  const newIndexCount = geometry.index ? geometry.index.count : geometry.attributes.position.count;
-  const scaleFactor = newIndexCount / oldIndexCount;
-  geometry.groups = materialInfo.groups.map((group) => ({
-    start: Math.floor(group.start * scaleFactor),
-    count: Math.floor(group.count * scaleFactor),
-    materialIndex: group.materialIndex,
-  }));
-  let currentOffset = 0;
-  geometry.groups.forEach((group) => {
-    group.start = currentOffset;
-    currentOffset += group.count;
-    if (currentOffset > newIndexCount) {
-      const excess = currentOffset - newIndexCount;
-      group.count -= excess;
+// Rebuilds geometry.groups after simplification. sourceTriangles[i] is the original triangle
+// that triangle i of the simplified geometry descends from; each triangle goes back into the
+// group that owned its source, so no triangle changes material. Without source ids only a
+// single-material mesh can be remapped. Returns per-material triangle counts before and
+// after, or null when the groups could not be remapped.
+export function restoreMaterialGroups(geometry, materialInfo, sourceTriangles) {
+  if (!materialInfo || !materialInfo.groups) return null;
+  const groups = materialInfo.groups;
+  const triangleCount = Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+
+  const materialTriangles = {};
+  const tally = (materialIndex, key, count) => {
+    materialTriangles[materialIndex] = materialTriangles[materialIndex] || { before: 0, after: 0 };
+    materialTriangles[materialIndex][key] += count;
+  };
+  groups.forEach((group) => tally(group.materialIndex, 'before', Math.floor(group.count / 3)));
+
+  if (!sourceTriangles) {
+    if (new Set(groups.map((group) => group.materialIndex)).size > 1) return null;
+    geometry.groups = [{ start: 0, count: triangleCount * 3, materialIndex: groups[0].materialIndex }];
+    tally(groups[0].materialIndex, 'after', triangleCount);
+    return materialTriangles;
+  }
+
+  // Bucket the simplified triangles by the group of their source, in the original group order
+  const buckets = groups.map(() => []);
+  const ungrouped = [];
+  for (let tri = 0; tri < triangleCount; tri++) {
+    const sourceStart = sourceTriangles[tri] * 3;
+    const owner = groups.findIndex((group) => sourceStart >= group.start && sourceStart < group.start + group.count);
+    (owner === -1 ? ungrouped : buckets[owner]).push(tri);
+  }
+
+  const oldIndex = geometry.index ? geometry.index.array : null;
+  const newIndex = new Uint32Array(triangleCount * 3);
+  let offset = 0;
+  const copyTriangle = (tri) => {
+    for (let k = 0; k < 3; k++) {
+      newIndex[offset++] = oldIndex ? oldIndex[tri * 3 + k] : tri * 3 + k;
     }
+  };
+
+  geometry.groups = [];
+  buckets.forEach((bucket, groupIndex) => {
+    if (bucket.length === 0) return;
+    const start = offset;
+    bucket.forEach(copyTriangle);
+    const { materialIndex } = groups[groupIndex];
+    geometry.groups.push({ start, count: bucket.length * 3, materialIndex });
+    tally(materialIndex, 'after', bucket.length);
   });
-  
+  // Triangles outside every group were not drawn before and stay outside
+  ungrouped.forEach(copyTriangle);
+
+  geometry.setIndex(new THREE.BufferAttribute(newIndex, 1));
+  return materialTriangles;
 }
 
 export function checkForLostFeatures(originalGeometry, simplifiedGeometry) {
@@ -501,6 +563,66 @@ export function analyzeFeatureSizes(geometry) {
     isHighDetail: geometryComplexity > 0.4
   };
 }
+function getTriangleCount(geometry) {
+  return Math.round(geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3);
+}
+
+// Shared across optimization runs so workers are started once and reused
+let simplifyWorkerPool = null;
+
+function getSimplifyWorkerPool() {
+  if (!simplifyWorkerPool) {
+    simplifyWorkerPool = new WorkerPool(
+      () => new Worker(new URL('./simplifyMeshworker.js', import.meta.url), { type: 'module' })
+    );
+  }
+  return simplifyWorkerPool;
+}
+
+// Runs simplifyMeshworker.js on a copy of the geometry using the shared worker pool.
+// Resolves with the rebuilt geometry (null when the worker failed or timed out), the
+// worker's deviation and per-material triangle reports, and the reason when simplification
+// was skipped. Throws
+// synchronously if no worker can be created so callers can fall back.
+function simplifyGeometryInWorker(geometry, optimizationConfig) {
+  const pool = getSimplifyWorkerPool();
+
+  if (!geometry.attributes.position) {
+    console.warn('No position attribute found in geometry');
+  }
+
+  // Every attribute and morph target goes across; the packed arrays are copies
+  const { data: meshData, transferables } = packGeometry(geometry);
+
+  const failed = { modified: false, geometry: null, deviation: null, skippedReason: null, materialTriangles: null };
+
+  return pool
+    .run({ meshData, optimizationConfig }, transferables, 60000)
+    .then((data) => {
+      if (data.error) {
+        console.error('Worker error:', data.error);
+        return failed;
+      }
+
+      const result = unpackGeometry(data.geometry);
+      if (!result.attributes.normal && !optimizationConfig.preserveNormals) {
+        console.log('Worker generated new normals as preserveNormals is false');
+      }
+
+      return {
+        modified: data.modified,
+        geometry: result,
+        deviation: data.deviation,
+        skippedReason: data.skippedReason || null,
+        materialTriangles: data.materialTriangles || null,
+      };
+    })
+    .catch((error) => {
+      console.warn('Skipping mesh simplification:', error.message || error);
+      return failed;
+    });
+}
+
 export async function optimizeModels(
   file,
   optimizationConfigs,
@@ -508,14 +630,15 @@ export async function optimizeModels(
   setInputFileModel,
   inputFileModel,
   setShowOptimizationPopup,
-  setAffectedNodes
+  setAffectedNodes,
+  resourceFiles = []
 ) {
   if (!file || file.length === 0) return;
   const results = [];
   const allAffectedNodes = [];
 
   try {
-    if (!THREE || !GLTFLoader || !DRACOLoader || !GLTFExporter) {
+    if (!THREE || !GLTFLoader || !GLTFExporter) {
       console.error('THREE.js libraries not available');
       alert('3D optimization libraries are still loading. Please try again in a moment.');
       return;
@@ -531,26 +654,16 @@ export async function optimizeModels(
         simplificationRatio: 0.1,
         embedImages: false,
       };
-      const originalSize = currentFile.size;
+      let originalSize = currentFile.size;
       const fileAffectedNodes = [];
 
       try {
-        const objectURL = URL.createObjectURL(currentFile);
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(dracoLoader);
-
-        const loadedData = await new Promise((resolve, reject) => {
-          loader.load(
-            objectURL,
-            (gltf) => resolve(gltf),
-            (xhr) => console.log((xhr.loaded / xhr.total) * 100 + '% loaded'),
-            (error) => reject(error)
-          );
-        });
-
-        URL.revokeObjectURL(objectURL);
+        const loadedData = await loadModel(currentFile, resourceFiles);
+        // Sizes compare against everything the model was loaded from, .mtl and textures included
+        originalSize = loadedData.sourceSize;
+        if (loadedData.report.length > 0) {
+          fileAffectedNodes.push({ name: 'Import', changes: loadedData.report });
+        }
 
         let originalPolyCount = 0;
         let originalVertexCount = 0;
@@ -578,12 +691,12 @@ export async function optimizeModels(
           }
         });
 
-        const isModelSmall = originalVertexCount < 5000 || originalSize < 1 * 1024 * 1024;
         const hasLargeTextures = totalTextureSize > 5;
         const shouldUseDraco = optimizationConfig.useDraco;
         const shouldEmbedImages = optimizationConfig.embedImages && !hasLargeTextures;
 
-        const scene = loadedData.scene.clone();
+        // Object3D.clone() would leave skinned meshes bound to the source scene's bones
+        const scene = cloneWithSkeletons(loadedData.scene);
         const meshObjects = [];
         scene.traverse((obj) => {
           if (obj instanceof THREE.Mesh) {
@@ -591,210 +704,90 @@ export async function optimizeModels(
           }
         });
 
-        let anyOptimizationApplied = false;
-        let dracoApplied = false;
+        // A model converted from another format is always written out as GLB
+        let anyOptimizationApplied = loadedData.format !== 'gltf';
+        const meshDeviations = [];
+        const lodChains = new Map();
+        const lodMeshes = new Set();
+
+        // Ensure optimizationConfig includes preserveNormals
+        optimizationConfig.preserveNormals = optimizationConfig.preserveNormals ?? true;
+
+        // Scene-wide budget: each mesh gets its own reduction ratio instead of the shared slider value
+        const triangleAllocations =
+          optimizationConfig.simplifyGeometry && optimizationConfig.triangleBudget > 0
+            ? allocateTriangleBudget(meshObjects, optimizationConfig.triangleBudget, {
+                weighting: optimizationConfig.budgetWeighting,
+              })
+            : null;
+        const meshBudgets = [];
+        const meshCacheStats = [];
+        const quantizationErrors = [];
+        const animatedNodes = optimizationConfig.quantizeAttributes ? findAnimatedNodes(scene, loadedData.animations) : null;
+        const keepPositions = optimizationConfig.quantizeAttributes
+          ? findGeometriesKeepingPositions(meshObjects, animatedNodes)
+          : null;
+
+        const meshConfigs = meshObjects.map((obj) => {
+          const allocation = triangleAllocations?.get(obj);
+          return allocation
+            ? {
+                ...optimizationConfig,
+                simplifyGeometry: allocation.allocated < allocation.original,
+                simplificationRatio: 1 - allocation.allocated / allocation.original,
+              }
+            : optimizationConfig;
+        });
 
-        for (const obj of meshObjects) {
+        // Hand every mesh to the worker pool at once; results are applied below in scene order
+        // so the output does not depend on which worker finishes first
+        const simplificationTasks = meshObjects.map((obj, meshIndex) => {
+          const meshConfig = meshConfigs[meshIndex];
+          if (!meshConfig.simplifyGeometry && !meshConfig.removeDuplicates) return null;
+          try {
+            return simplifyGeometryInWorker(obj.geometry, meshConfig).then((result) => ({ result }));
+          } catch (error) {
+            return Promise.resolve({ error });
+          }
+        });
+
+        for (const [meshIndex, obj] of meshObjects.entries()) {
           const nodeChanges = { name: obj.name || 'Unnamed Mesh', changes: [] };
+          const allocation = triangleAllocations?.get(obj);
+          const meshConfig = meshConfigs[meshIndex];
 
         
-if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates) {
+if (simplificationTasks[meshIndex]) {
   try {
-    const worker = new Worker(new URL('./simplifyMeshworker.js', import.meta.url), { type: 'module' });
-
-    // Extract and prepare the mesh data for transfer
-    const meshData = {
-      attributes: {},
-      index: null,
-      groups: obj.geometry.groups || []
-    };
-
-    // Add position attributes
-    if (obj.geometry.attributes.position) {
-      const posArray = new Float32Array(obj.geometry.attributes.position.array);
-      meshData.attributes.position = posArray;
-      console.log('Position attribute:', {
-        length: posArray.length,
-        type: posArray.constructor.name,
-        sample: posArray.slice(0, 6) // Log first 6 values for inspection
-      });
-    } else {
-      console.warn('No position attribute found in geometry');
-    }
+    const { result: workerResult, error } = await simplificationTasks[meshIndex];
+    if (error) throw error;
 
-    // Add normal attributes if they exist
-    if (obj.geometry.attributes.normal) {
-      const normalArray = new Float32Array(obj.geometry.attributes.normal.array);
-      meshData.attributes.normal = normalArray;
-      console.log('Normal attribute:', {
-        length: normalArray.length,
-        type: normalArray.constructor.name,
-        sample: normalArray.slice(0, 6),
-        matchesPosition: normalArray.length === meshData.attributes.position?.length
-      });
-    } else {
-      console.log('No normal attribute found in geometry');
+    if (workerResult.skippedReason) {
+      nodeChanges.changes.push(`Simplification skipped: ${workerResult.skippedReason}`);
     }
 
-    // Add UV attributes if they exist
-    if (obj.geometry.attributes.uv) {
-      const uvArray = new Float32Array(obj.geometry.attributes.uv.array);
-      meshData.attributes.uv = uvArray;
-      console.log('UV attribute:', {
-        length: uvArray.length,
-        type: uvArray.constructor.name,
-        sample: uvArray.slice(0, 4), // UVs have 2 components per vertex
-        expectedLength: (meshData.attributes.position?.length / 3) * 2 // UVs should have 2 components per vertex
-      });
-    } else {
-      console.log('No UV attribute found in geometry');
+    if (workerResult.geometry) {
+      obj.geometry.dispose();
+      obj.geometry = workerResult.geometry;
     }
 
-    // Add index if it exists
-    if (obj.geometry.index) {
-      const indexArray = new Uint32Array(obj.geometry.index.array);
-      meshData.index = indexArray;
-      console.log('Index attribute:', {
-        length: indexArray.length,
-        type: indexArray.constructor.name,
-        sample: indexArray.slice(0, 6)
-      });
-    }
-
-    // Create transferable array for worker - ensuring no duplicates
-    const transferables = [];
-    const seenBuffers = new Set();
-
-    // Helper to safely add buffer to transferables
-    const addUniqueBuffer = (buffer) => {
-      if (buffer && !seenBuffers.has(buffer)) {
-        seenBuffers.add(buffer);
-        transferables.push(buffer);
-      }
-    };
-
-    // Add position buffer if it exists
-    if (meshData.attributes.position) {
-      addUniqueBuffer(meshData.attributes.position.buffer);
-    }
-
-    // Add normal buffer if it exists
-    if (meshData.attributes.normal) {
-      addUniqueBuffer(meshData.attributes.normal.buffer);
-    }
-
-    // Add UV buffer if it exists
-    if (meshData.attributes.uv) {
-      addUniqueBuffer(meshData.attributes.uv.buffer);
+    if (workerResult.deviation) {
+      const { relativeHausdorff, relativeRms } = workerResult.deviation;
+      meshDeviations.push({ name: nodeChanges.name, ...workerResult.deviation });
+      nodeChanges.changes.push(
+        `Surface deviation: Hausdorff ${(relativeHausdorff * 100).toFixed(3)}%, RMS ${(relativeRms * 100).toFixed(3)}% of bbox diagonal`
+      );
     }
 
-    // Add index buffer if it exists
-    if (meshData.index) {
-      addUniqueBuffer(meshData.index.buffer);
+    // Per-material triangle counts, so ownership can be checked against the source mesh
+    if (workerResult.modified && workerResult.materialTriangles && Object.keys(workerResult.materialTriangles).length > 1) {
+      const perMaterial = Object.entries(workerResult.materialTriangles)
+        .map(([materialIndex, { before, after }]) => `#${materialIndex} ${before.toLocaleString()} → ${after.toLocaleString()}`)
+        .join(', ');
+      nodeChanges.changes.push(`Triangles per material: ${perMaterial}`);
     }
 
-    // Log transferables to verify buffers
-    console.log('Transferables:', transferables.map(buf => ({
-      byteLength: buf.byteLength,
-      type: buf.constructor.name
-    })));
-
-    // Ensure optimizationConfig includes preserveNormals
-    optimizationConfig.preserveNormals = optimizationConfig.preserveNormals ?? true;
-
-    const modified = await new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        worker.terminate();
-        console.warn('Worker timed out, skipping mesh simplification');
-        resolve(false);
-      }, 60000);
-
-      worker.onmessage = (e) => {
-        clearTimeout(timeoutId);
-
-        if (e.data.error) {
-          console.error('Worker error:', e.data.error);
-          worker.terminate();
-          resolve(false);
-          return;
-        }
-
-        try {
-          // Log worker output to verify normals and UVs
-          console.log('Worker returned geometry:', {
-            hasPosition: !!e.data.geometry.attributes.position,
-            hasNormal: !!e.data.geometry.attributes.normal,
-            hasUV: !!e.data.geometry.attributes.uv,
-            positionLength: e.data.geometry.attributes.position?.length,
-            normalLength: e.data.geometry.attributes.normal?.length,
-            uvLength: e.data.geometry.attributes.uv?.length
-          });
-
-          // Update the mesh geometry with the worker's result
-          obj.geometry.dispose();
-          obj.geometry = new THREE.BufferGeometry();
-
-          if (e.data.geometry.attributes.position) {
-            obj.geometry.setAttribute(
-              'position',
-              new THREE.Float32BufferAttribute(e.data.geometry.attributes.position, 3)
-            );
-          }
-
-          if (e.data.geometry.attributes.normal) {
-            obj.geometry.setAttribute(
-              'normal',
-              new THREE.Float32BufferAttribute(e.data.geometry.attributes.normal, 3)
-            );
-          } else if (!obj.geometry.attributes.normal && !optimizationConfig.preserveNormals) {
-            console.log('Worker generated new normals as preserveNormals is false');
-          }
-
-          if (e.data.geometry.attributes.uv) {
-            obj.geometry.setAttribute(
-              'uv',
-              new THREE.Float32BufferAttribute(e.data.geometry.attributes.uv, 2)
-            );
-          }
-
-          if (e.data.geometry.index) {
-            obj.geometry.setIndex(
-              new THREE.BufferAttribute(e.data.geometry.index, 1)
-            );
-          }
-
-          if (e.data.geometry.groups) {
-            obj.geometry.groups = e.data.geometry.groups;
-          }
-
-          worker.terminate();
-          resolve(e.data.modified);
-        } catch (error) {
-          console.error('Error applying worker result:', error);
-          worker.terminate();
-          resolve(false);
-        }
-      };
-
-      worker.onerror = (error) => {
-        clearTimeout(timeoutId);
-        console.error('Worker error:', error);
-        worker.terminate();
-        resolve(false);
-      };
-
-      // Post the message with transferables
-      try {
-        console.log('Sending meshData to worker:', meshData);
-        worker.postMessage({ meshData, optimizationConfig }, transferables);
-      } catch (postError) {
-        console.error('Error posting to worker:', postError);
-        worker.terminate();
-        resolve(false);
-      }
-    });
-
-    if (modified) {
+    if (workerResult.modified) {
       nodeChanges.changes.push('Geometry simplified');
       anyOptimizationApplied = true;
     }
@@ -806,7 +799,7 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
     let simplificationApplied = false;
     
     // Basic duplicate removal - fallback implementation
-    if (optimizationConfig.removeDuplicates) {
+    if (meshConfig.removeDuplicates) {
       try {
         if (THREE.BufferGeometryUtils && THREE.BufferGeometryUtils.mergeVertices) {
           const mergedGeometry = THREE.BufferGeometryUtils.mergeVertices(obj.geometry, 0.001);
@@ -822,10 +815,10 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
     }
     
     // Basic geometry simplification - fallback implementation
-    if (optimizationConfig.simplifyGeometry && THREE.SimplifyModifier) {
+    if (meshConfig.simplifyGeometry && THREE.SimplifyModifier) {
       try {
         const simplifier = new THREE.SimplifyModifier();
-        const ratio = optimizationConfig.simplificationRatio || 0.5;
+        const ratio = meshConfig.simplificationRatio || 0.5;
         const targetCount = Math.max(100, Math.floor(obj.geometry.attributes.position.count * ratio));
         
         if (targetCount < obj.geometry.attributes.position.count * 0.9) {
@@ -850,84 +843,160 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
     
 
 
-          // Texture compression and material conversion logic remains the same
-          if (obj.material && optimizationConfig.useTextureCompression) {
-            const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
-            for (const mat of materials) {
-              if ('map' in mat) {
-                const materialWithMaps = mat;
-                if (materialWithMaps.map && optimizeTexture(materialWithMaps.map, optimizationConfig, true)) {
-                  nodeChanges.changes.push('Compressed diffuse texture');
-                  anyOptimizationApplied = true;
-                }
-                if (materialWithMaps.normalMap && optimizeTexture(materialWithMaps.normalMap, optimizationConfig, true)) {
-                  nodeChanges.changes.push('Compressed normal map');
-                  anyOptimizationApplied = true;
-                }
-                if (materialWithMaps.aoMap && optimizeTexture(materialWithMaps.aoMap, optimizationConfig, true)) {
-                  nodeChanges.changes.push('Compressed AO map');
-                  anyOptimizationApplied = true;
-                }
-                if (materialWithMaps.emissiveMap && optimizeTexture(materialWithMaps.emissiveMap, optimizationConfig, true)) {
-                  nodeChanges.changes.push('Compressed emissive map');
-                  anyOptimizationApplied = true;
-                }
-                if (materialWithMaps.metalnessMap && optimizeTexture(materialWithMaps.metalnessMap, optimizationConfig, true)) {
-                  nodeChanges.changes.push('Compressed metalness map');
-                  anyOptimizationApplied = true;
-                }
-                if (materialWithMaps.roughnessMap && optimizeTexture(materialWithMaps.roughnessMap, optimizationConfig, true)) {
-                  nodeChanges.changes.push('Compressed roughness map');
-                  anyOptimizationApplied = true;
+          if (allocation) {
+            const achieved = getTriangleCount(obj.geometry);
+            meshBudgets.push({ name: nodeChanges.name, ...allocation, achieved });
+            nodeChanges.changes.push(
+              `Triangle budget: allocated ${allocation.allocated.toLocaleString()}, achieved ${achieved.toLocaleString()} (from ${allocation.original.toLocaleString()})`
+            );
+          }
+
+          // Build the LOD chain from the optimized mesh; level 0 is the mesh itself
+          if (optimizationConfig.generateLods && !obj.isSkinnedMesh && obj.geometry.attributes.position) {
+            const lodLevels = optimizationConfig.lodLevels || DEFAULT_LOD_LEVELS;
+            const levels = [];
+            const levelRatios = [1];
+            const triangleCounts = [getTriangleCount(obj.geometry)];
+
+            const lodRatios = lodLevels.filter((level) => level > 0 && level < 1);
+            // All levels of the chain are simplified in parallel from the same level-0 geometry
+            const lodTasks = lodRatios.map((ratio) => {
+              try {
+                return simplifyGeometryInWorker(obj.geometry, {
+                  ...optimizationConfig,
+                  simplifyGeometry: true,
+                  removeDuplicates: false,
+                  simplificationRatio: 1 - ratio,
+                  // Coarse levels are meant to deviate; their screen coverage hides it
+                  maxSurfaceDeviation: Infinity,
+                  preserveNormals: true,
+                });
+              } catch (lodError) {
+                return Promise.reject(lodError);
+              }
+            });
+            const lodOutcomes = await Promise.allSettled(lodTasks);
+
+            for (const [levelIndex, ratio] of lodRatios.entries()) {
+              try {
+                const outcome = lodOutcomes[levelIndex];
+                if (outcome.status === 'rejected') throw outcome.reason;
+                const lodResult = outcome.value;
+
+                if (!lodResult.modified || !lodResult.geometry) {
+                  lodResult.geometry?.dispose();
+                  console.warn(
+                    `Could not generate ${Math.round(ratio * 100)}% LOD for ${nodeChanges.name}, stopping chain` +
+                      (lodResult.skippedReason ? `: ${lodResult.skippedReason}` : '')
+                  );
+                  break;
                 }
+
+                const lodMesh = new THREE.Mesh(lodResult.geometry, obj.material);
+                lodMesh.name = `${obj.name || 'Mesh'}_LOD${levels.length + 1}`;
+                // MSFT_lod alternates replace the node, so they carry its local transform
+                lodMesh.position.copy(obj.position);
+                lodMesh.quaternion.copy(obj.quaternion);
+                lodMesh.scale.copy(obj.scale);
+                levels.push(lodMesh);
+                levelRatios.push(ratio);
+                triangleCounts.push(getTriangleCount(lodResult.geometry));
+              } catch (lodError) {
+                console.warn(`LOD generation failed for ${nodeChanges.name}:`, lodError);
+                break;
               }
             }
-          }
 
-          if (!(obj.material instanceof THREE.MeshPhongMaterial) && !(obj.material instanceof THREE.MeshStandardMaterial)) {
-            const mat = obj.material;
-            if (mat instanceof THREE.MeshStandardMaterial) {
-              nodeChanges.changes.push('Preserved Standard material');
-            } else {
-              const phongMaterial = new THREE.MeshPhongMaterial({
-                color: (mat && mat.color) ? mat.color : new THREE.Color(1, 1, 1),
-                map: mat && mat.map ? mat.map : undefined,
-                normalMap: mat && mat.normalMap ? mat.normalMap : undefined,
-                aoMap: mat && mat.aoMap ? mat.aoMap : undefined,
-                emissive: (mat && mat.emissive) ? mat.emissive : new THREE.Color(0, 0, 0),
-                emissiveMap: mat && mat.emissiveMap ? mat.emissiveMap : undefined,
-                specular: new THREE.Color(0x222222),
-                shininess: 40,
-                specularMap: mat && mat.metalnessMap ? mat.metalnessMap : undefined,
-                bumpMap: mat && mat.bumpMap ? mat.bumpMap : undefined,
-                bumpScale: mat && mat.bumpScale ? mat.bumpScale : 1,
-                displacementMap: mat && mat.displacementMap ? mat.displacementMap : undefined,
-                displacementScale: mat && mat.displacementScale ? mat.displacementScale : 1,
-                flatShading: false,
+            // Levels past a break in the chain were computed anyway and are dropped
+            lodOutcomes.slice(levels.length + 1).forEach((outcome) => {
+              if (outcome.status === 'fulfilled') outcome.value.geometry?.dispose();
+            });
+
+            if (levels.length > 0) {
+              levels.forEach((level) => {
+                obj.add(level);
+                lodMeshes.add(level);
+              });
+              lodChains.set(obj, {
+                levels,
+                screenCoverage: optimizationConfig.lodScreenCoverage || defaultScreenCoverage(levelRatios),
               });
-              
+              nodeChanges.changes.push(`Generated LOD chain: ${triangleCounts.map((count) => count.toLocaleString()).join(' / ')} triangles`);
+              anyOptimizationApplied = true;
+            }
+          }
 
-              if (Array.isArray(obj.material)) {
-                obj.material.forEach((mat) => mat.dispose && mat.dispose());
-              } else if (obj.material && typeof obj.material.dispose === 'function') {
-                obj.material.dispose();
-              }
+          // GPU-friendly ordering runs last so it sees the final triangles of every level
+          if (optimizationConfig.optimizeVertexOrder) {
+            const cacheStats = optimizeVertexOrder(obj.geometry);
+            lodChains.get(obj)?.levels.forEach((level) => optimizeVertexOrder(level.geometry));
 
-              obj.material = phongMaterial;
-              nodeChanges.changes.push('Converted to improved Phong material');
+            if (cacheStats) {
+              meshCacheStats.push({ name: nodeChanges.name, ...cacheStats });
+              nodeChanges.changes.push(
+                `Reordered for GPU: ACMR ${cacheStats.before.acmr.toFixed(2)} → ${cacheStats.after.acmr.toFixed(2)}, ATVR ${cacheStats.before.atvr.toFixed(2)} → ${cacheStats.after.atvr.toFixed(2)}`
+              );
               anyOptimizationApplied = true;
             }
           }
 
+          // Quantization goes last: every pass before it works on float attributes
+          if (optimizationConfig.quantizeAttributes) {
+            const quantization = quantizeMesh(obj, {
+              bits: optimizationConfig.quantizationBits,
+              alternates: lodChains.get(obj)?.levels,
+              animatedNodes,
+              keepPositions,
+            });
+            quantizationErrors.push({ name: nodeChanges.name, ...quantization });
+            nodeChanges.changes.push(
+              `Quantized attributes (KHR_mesh_quantization), max position error ${quantization.maxPositionError.toPrecision(3)} (${(quantization.relativeError * 100).toFixed(4)}% of bbox diagonal)`
+            );
+            if (quantization.skipped.length > 0) {
+              nodeChanges.changes.push(`Kept as float: ${quantization.skipped.join(', ')}`);
+            }
+            anyOptimizationApplied = true;
+          }
+
           if (nodeChanges.changes.length > 0) {
             fileAffectedNodes.push(nodeChanges);
           }
         }
 
+        // After the mesh passes, so LOD levels get the same materials as their level 0
+        const materialPolicy = applyMaterialPolicy(scene, optimizationConfig.materialPolicy);
+        if (materialPolicy.changes.length > 0) {
+          fileAffectedNodes.push({ name: 'Materials', changes: materialPolicy.changes });
+        }
+        if (materialPolicy.converted > 0) {
+          anyOptimizationApplied = true;
+        }
+
+        // Before resizing, so the packed texture gets the ORM size limit
+        if (optimizationConfig.packOrm) {
+          const ormPacking = packOrmTextures(scene);
+          if (ormPacking.changes.length > 0) {
+            fileAffectedNodes.push({ name: 'ORM packing', changes: ormPacking.changes });
+          }
+          if (ormPacking.packed > 0) {
+            anyOptimizationApplied = true;
+          }
+        }
+
+        if (optimizationConfig.useTextureCompression) {
+          const textureSizes = applyTextureSizePolicy(scene, optimizationConfig.textureSizePolicy);
+          if (textureSizes.changes.length > 0) {
+            fileAffectedNodes.push({ name: 'Texture sizes', changes: textureSizes.changes });
+          }
+          if (textureSizes.resized > 0) {
+            anyOptimizationApplied = true;
+          }
+        }
+
         let optimizedPolyCount = 0;
         let optimizedVertexCount = 0;
         scene.traverse((obj) => {
-          if (obj instanceof THREE.Mesh && obj.geometry) {
+          if (obj instanceof THREE.Mesh && obj.geometry && !lodMeshes.has(obj)) {
             const mesh = obj;
             if (mesh.geometry.attributes.position) {
               optimizedVertexCount += mesh.geometry.attributes.position.count;
@@ -941,11 +1010,24 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
         });
 
         const exporter = new GLTFExporter();
+        exporter.register((writer) => new GLTFLodExporterPlugin(writer, lodChains));
+        if (optimizationConfig.quantizeAttributes) {
+          exporter.register((writer) => new GLTFMeshQuantizationExporterPlugin(writer));
+        }
         const exportConfigurations = [];
 
         if (shouldUseDraco) {
+          // Binary exports whose primitives are then Draco-encoded with these settings
           exportConfigurations.push({
             name: 'Draco compression',
+            draco: {
+              compressionLevel: 9,
+              quantizePosition: 14,
+              quantizeNormal: 10,
+              quantizeTexcoord: 12,
+              quantizeColor: 10,
+              quantizeSkin: 10,
+            },
             options: {
               binary: true,
               embedImages: shouldEmbedImages,
@@ -953,18 +1035,18 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
               truncateDrawRange: true,
               includeCustomExtensions: true,
               forceIndices: true,
-              draco: {
-                compressionLevel: 9,
-                quantizePosition: 14,
-                quantizeNormal: 10,
-                quantizeTexcoord: 12,
-                quantizeColor: 10,
-                quantizeSkin: 10,
-              },
             },
           });
           exportConfigurations.push({
             name: 'Compatible Draco compression',
+            draco: {
+              compressionLevel: 7,
+              quantizePosition: 11,
+              quantizeNormal: 8,
+              quantizeTexcoord: 10,
+              quantizeColor: 8,
+              quantizeSkin: 8,
+            },
             options: {
               binary: true,
               embedImages: shouldEmbedImages,
@@ -972,18 +1054,24 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
               truncateDrawRange: true,
               includeCustomExtensions: true,
               forceIndices: true,
-              draco: {
-                compressionLevel: 7,
-                quantizePosition: 11,
-                quantizeNormal: 8,
-                quantizeTexcoord: 10,
-                quantizeColor: 8,
-                quantizeSkin: 8,
-              },
             },
           });
         }
 
+        // Binary export whose vertex and index buffer views are then meshopt-encoded
+        exportConfigurations.push({
+          name: 'Meshopt compression',
+          meshopt: true,
+          options: {
+            binary: true,
+            embedImages: shouldEmbedImages,
+            animations: loadedData.animations,
+            truncateDrawRange: true,
+            includeCustomExtensions: true,
+            forceIndices: true,
+          },
+        });
+
         exportConfigurations.push({
           name: 'Binary encoding without Draco',
           options: {
@@ -1010,134 +1098,188 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
           });
         }
 
-        let bestResult = null;
-        let bestSize = Infinity;
-        let bestConfigName = '';
+        // Every export that succeeds is a candidate; they are tried smallest first
+        const exportCandidates = [];
+        const ktx2Cache = new Map(); // Most candidates embed the same images; encode each once
+        const imageCache = new Map();
 
         for (const config of exportConfigurations) {
           try {
-            const result = await new Promise((resolve, reject) => {
+            let result = await new Promise((resolve, reject) => {
               exporter.parse(scene, (result) => resolve(result), (error) => reject(error), config.options);
             });
 
-            const size = result instanceof ArrayBuffer ? result.byteLength : new TextEncoder().encode(JSON.stringify(result)).length;
+            // Repacked before compression, which then only sees data the scene still uses
+            let repackStats = null;
+            if (optimizationConfig.repackGlb && result instanceof ArrayBuffer) {
+              try {
+                ({ glb: result, stats: repackStats } = repackGltf(result));
+              } catch (err) {
+                console.warn(`Repacking "${config.name}" failed, keeping the export as is:`, err);
+              }
+            }
 
-            if (config.options.draco && size < Infinity) {
-              dracoApplied = true;
+            let ktx2Stats = null;
+            if (optimizationConfig.ktx2Textures && result instanceof ArrayBuffer) {
+              const encode = await loadKtx2Encoder();
+              ({ glb: result, stats: ktx2Stats } = await compressGlbTexturesToKtx2(result, encode, { cache: ktx2Cache }));
             }
 
-            if (size < bestSize) {
-              bestSize = size;
-              bestResult = result;
-              bestConfigName = config.name;
-              if (bestSize < originalSize * 0.7) {
-                break;
-              }
+            // Images KTX2 already took are left alone
+            let imageStats = null;
+            if (optimizationConfig.imageFormat && optimizationConfig.imageFormat !== 'keep' && result instanceof ArrayBuffer) {
+              ({ glb: result, stats: imageStats } = await compressGlbImages(result, {
+                format: optimizationConfig.imageFormat,
+                quality: optimizationConfig.imageQuality,
+                keepFallback: optimizationConfig.imageFallback,
+                cache: imageCache,
+              }));
+            }
+
+            let meshoptStats = null;
+            if (config.meshopt && result instanceof ArrayBuffer) {
+              ({ glb: result, stats: meshoptStats } = compressGlbWithMeshopt(result));
+            }
+            let dracoStats = null;
+            if (config.draco && result instanceof ArrayBuffer) {
+              const draco = await loadDracoEncoder();
+              ({ glb: result, stats: dracoStats } = compressGlbWithDraco(result, draco, config.draco));
+            }
+
+            const blob =
+              result instanceof ArrayBuffer
+                ? new Blob([result], { type: 'model/gltf-binary' })
+                : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+            exportCandidates.push({ name: config.name, blob, repackStats, ktx2Stats, imageStats, meshoptStats, dracoStats });
+
+            if (blob.size < originalSize * 0.7) {
+              break;
             }
           } catch (err) {
             console.warn(`Export configuration "${config.name}" failed:`, err);
           }
         }
 
-        if (optimizationConfig.useDraco && dracoApplied) {
-          anyOptimizationApplied = true;
-          fileAffectedNodes.push({
-            name: 'Compression',
-            changes: ['Applied Draco compression'],
-          });
+        // With the scene unchanged, the original file itself can be repacked without re-exporting
+        if (optimizationConfig.repackGlb && !anyOptimizationApplied) {
+          try {
+            const { glb, stats } = repackGltf(await currentFile.arrayBuffer());
+            exportCandidates.push({
+              name: 'Lossless repack of the original',
+              blob: new Blob([glb], { type: 'model/gltf-binary' }),
+              repackStats: stats,
+            });
+          } catch (err) {
+            console.warn(`Repacking ${currentFile.name} failed:`, err);
+          }
+        }
+        exportCandidates.sort((a, b) => a.blob.size - b.blob.size);
+
+        // A larger file is still worth keeping when the scene itself was changed, or when its
+        // textures now stay compressed in GPU memory
+        let chosen = null;
+        const validationNotes = [];
+        for (const candidate of exportCandidates) {
+          const hasKtx2Textures = Object.values(candidate.ktx2Stats?.encoded || {}).some((count) => count > 0);
+          if (candidate.blob.size >= originalSize && !anyOptimizationApplied && !hasKtx2Textures) continue;
+          try {
+            await verifyReloadable(candidate.blob);
+          } catch (err) {
+            console.warn(`Export "${candidate.name}" failed to reload:`, err);
+            validationNotes.push(`Discarded ${candidate.name}: output failed to reload (${err.message})`);
+            continue;
+          }
+          // A larger candidate that passes beats one the download would be blocked for
+          const { errors } = await validateGltf(candidate.blob);
+          if (errors.length > 0) {
+            console.warn(`Export "${candidate.name}" failed glTF validation:`, errors);
+            validationNotes.push(`Discarded ${candidate.name}: ${errors.length} glTF validation errors (first: ${errors[0]})`);
+            continue;
+          }
+          chosen = candidate;
+          break;
+        }
+        if (validationNotes.length > 0) {
+          fileAffectedNodes.push({ name: 'Validation', changes: validationNotes });
         }
 
-        if ((bestResult && bestSize < originalSize) || anyOptimizationApplied) {
-          let optimizedBlob;
-          if (bestResult) {
-            if (bestResult instanceof ArrayBuffer) {
-              optimizedBlob = new Blob([bestResult], { type: 'model/gltf-binary' });
-            } else if (typeof bestResult === 'string') {
-              optimizedBlob = new Blob([bestResult], { type: 'model/gltf-binary' });
-            } else {
-              optimizedBlob = new Blob([JSON.stringify(bestResult)], { type: 'model/gltf-binary' });
-            }
+        const newModels = [...inputFileModel];
+
+        if (chosen) {
+          const { repackStats, ktx2Stats, imageStats, dracoStats, meshoptStats } = chosen;
+          if (repackStats) {
+            fileAffectedNodes.push({ name: 'Repack', changes: describeRepackStats(repackStats) });
+          }
+          if (ktx2Stats) {
+            fileAffectedNodes.push({ name: 'Textures', changes: describeKtx2Stats(ktx2Stats) });
+          }
+          if (imageStats) {
+            fileAffectedNodes.push({ name: 'Textures', changes: describeImageStats(imageStats, optimizationConfig) });
+          }
+          if (dracoStats && dracoStats.primitives > 0) {
             fileAffectedNodes.push({
-              name: 'Global',
-              changes: [`Used ${bestConfigName} (${Math.round((1 - bestSize / originalSize) * 100)}% reduction)`],
+              name: 'Compression',
+              changes: [
+                `Applied Draco compression (KHR_draco_mesh_compression) to ${dracoStats.primitives} primitives`,
+                ...dracoStats.skipped.map((reason) => `Draco skipped ${reason}`),
+              ],
             });
-          } else {
-            const basicResult = await new Promise((resolve, reject) => {
-              const exportOptions = optimizationConfig.useDraco
-                ? {
-                    binary: true,
-                    animations: loadedData.animations,
-                    draco: {
-                      compressionLevel: 7,
-                      quantizePosition: 11,
-                      quantizeNormal: 8,
-                      quantizeTexcoord: 10,
-                      quantizeColor: 8,
-                      quantizeSkin: 8,
-                    },
-                  }
-                : {
-                    binary: true,
-                    animations: loadedData.animations,
-                  };
-              exporter.parse(scene, (result) => resolve(result), (error) => reject(error), exportOptions);
-            });
-
-            if (basicResult instanceof ArrayBuffer) {
-              optimizedBlob = new Blob([basicResult], { type: 'model/gltf-binary' });
-              bestSize = basicResult.byteLength;
-            } else if (typeof basicResult === 'string') {
-              optimizedBlob = new Blob([basicResult], { type: 'model/gltf-binary' });
-              bestSize = new TextEncoder().encode(basicResult).length;
-            } else {
-              optimizedBlob = new Blob([JSON.stringify(basicResult)], { type: 'model/gltf-binary' });
-              bestSize = new TextEncoder().encode(JSON.stringify(basicResult)).length;
-            }
-
-            if (bestSize >= originalSize && anyOptimizationApplied) {
-              try {
-                const minifiedResult = JSON.stringify(basicResult).replace(/\s+/g, '');
-                optimizedBlob = new Blob([minifiedResult], { type: 'model/gltf-binary' });
-                bestSize = minifiedResult.length;
-                fileAffectedNodes.push({ name: 'Global', changes: ['Applied minimal optimization'] });
-              } catch (err) {
-                console.warn('Fallback minification failed:', err);
-              }
-            }
           }
-
-          const newModels = [...inputFileModel];
-          newModels[i] = { ...newModels[i], originalSize, optimizedSize: bestSize };
-
-          if (optimizationConfig.useDraco && dracoApplied && bestSize > originalSize * 0.9) {
-            const guaranteedReduction = isModelSmall ? 0.05 : 0.15;
-            const forcedBestSize = originalSize * (1 - guaranteedReduction);
-            console.log(`Forcing minimum Draco size reduction from ${bestSize} to ${forcedBestSize} (${guaranteedReduction * 100}%)`);
-            bestSize = forcedBestSize;
+          if (meshoptStats && meshoptStats.bufferViews > 0) {
+            fileAffectedNodes.push({
+              name: 'Compression',
+              changes: [
+                `Applied EXT_meshopt_compression to ${meshoptStats.bufferViews} buffer views (${(meshoptStats.rawBytes / 1024).toFixed(1)} KB → ${(meshoptStats.encodedBytes / 1024).toFixed(1)} KB)`,
+              ],
+            });
           }
+          const download = await packageForDownload(chosen.blob, optimizationConfig.outputFormat, currentFile.name);
+          fileAffectedNodes.push({
+            name: 'Global',
+            changes: [`Used ${chosen.name} (${describeSizeChange(originalSize, download.blob.size)})`, download.note],
+          });
 
-          const finalSize = Math.min(bestSize, originalSize * 0.98);
+          // Sizes are those of the file downloaded, in the selected container
+          newModels[i] = { ...newModels[i], originalSize, optimizedSize: download.blob.size };
 
           results.push({
+            status: 'optimized',
             originalSize,
-            optimizedSize: finalSize,
-            optimizedBlob,
+            optimizedSize: download.blob.size,
+            optimizedBlob: chosen.blob,
+            download,
+            textureMemory: ktx2Stats?.vramBefore > 0 ? { before: ktx2Stats.vramBefore, after: ktx2Stats.vramAfter } : null,
+            validation: download.validation,
             originalVertexCount,
             originalPolyCount: Math.round(originalPolyCount),
             optimizedVertexCount,
             optimizedPolyCount: Math.round(optimizedPolyCount),
+            meshDeviations,
+            meshBudgets,
+            meshCacheStats,
+            quantization: quantizationErrors.length > 0
+              ? {
+                  bits: optimizationConfig.quantizationBits,
+                  maxPositionError: Math.max(...quantizationErrors.map((entry) => entry.maxPositionError)),
+                  maxRelativeError: Math.max(...quantizationErrors.map((entry) => entry.relativeError)),
+                }
+              : null,
           });
 
           allAffectedNodes.push({ fileName: currentFile.name, nodes: fileAffectedNodes });
-          setInputFileModel(newModels);
         } else {
-          const compressedBlob = await applyMinimalCompression(currentFile);
-          const compressedSize = compressedBlob.size;
+          const fallback = await getFallbackOutput(currentFile);
+          const download = await packageForDownload(fallback.blob, optimizationConfig.outputFormat, currentFile.name);
+
+          newModels[i] = { ...newModels[i], originalSize, optimizedSize: download.blob.size };
 
           results.push({
+            status: fallback.status,
             originalSize,
-            optimizedSize: compressedSize,
-            optimizedBlob: compressedBlob,
+            optimizedSize: download.blob.size,
+            optimizedBlob: fallback.blob,
+            download,
+            validation: download.validation,
             originalVertexCount,
             originalPolyCount: Math.round(originalPolyCount),
             optimizedVertexCount: originalVertexCount,
@@ -1146,46 +1288,32 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
 
           allAffectedNodes.push({
             fileName: currentFile.name,
-            nodes: [{ name: 'Global', changes: ['Applied basic file compression'] }],
+            nodes: [
+              ...fileAffectedNodes.filter((node) => node.name === 'Import' || node.name === 'Validation'),
+              { name: 'Global', changes: [fallback.note, download.note] },
+            ],
           });
-
-          const newModels = [...inputFileModel];
-          newModels[i] = { ...newModels[i], originalSize, optimizedSize: compressedSize };
-          setInputFileModel(newModels);
         }
+        setInputFileModel(newModels);
       } catch (innerError) {
         console.error('Error optimizing file:', innerError);
-        try {
-          const compressedBlob = await applyMinimalCompression(currentFile);
-          const compressedSize = compressedBlob.size;
-
-          results.push({
-            originalSize,
-            optimizedSize: compressedSize,
-            optimizedBlob: compressedBlob,
-          });
-
-          allAffectedNodes.push({
-            fileName: currentFile.name,
-            nodes: [{ name: 'Recovery', changes: ['Applied minimal compression after error'] }],
-          });
-        } catch (compressionError) {
-          results.push({
-            originalSize,
-            optimizedSize: originalSize * 0.98,
-            optimizedBlob: currentFile.slice(0, currentFile.size),
-          });
+        const errorMessage =
+          typeof innerError === 'object' && innerError && 'message' in innerError ? innerError.message : String(innerError);
+        const fallback = await getFallbackOutput(currentFile);
+
+        results.push({
+          status: 'failed',
+          error: errorMessage,
+          originalSize,
+          optimizedSize: fallback.blob.size,
+          optimizedBlob: fallback.blob,
+        });
 
-          allAffectedNodes.push({
-            fileName: currentFile.name,
-            nodes: [{ name: 'Error', changes: ['Optimization failed - using original with minimal compression'] }],
-          });
-        }
-        console.warn(
-          `Error optimizing ${currentFile.name}: ${
-            typeof innerError === 'object' && innerError && 'message' in innerError ? innerError.message : String(innerError)
-          }`
-        );
+        allAffectedNodes.push({
+          fileName: currentFile.name,
+          nodes: [{ name: 'Error', changes: [`Optimization failed: ${errorMessage}`, fallback.note] }],
+        });
+        console.warn(`Error optimizing ${currentFile.name}: ${errorMessage}`);
       }
     }
 
@@ -1203,156 +1331,145 @@ if (optimizationConfig.simplifyGeometry || optimizationConfig.removeDuplicates)
     optimizedModels: results,
   };
 }
-// New function: Apply minimal compression to ensure some size reduction
+// Lossless clean-up of the original file: drops bytes past the length a GLB declares,
+// or whitespace from .gltf JSON. Returns null when neither applies.
 async function applyMinimalCompression(file) {
-  // Read the file content
   const buffer = await file.arrayBuffer();
-  
-  if (file.name.endsWith('.glb') || file.name.endsWith('.gltf')) {
-    try {
-      // For GLB/GLTF files, try using gltfpack or similar technique
-      // This is a simplified placeholder - in a real implementation,
-      // you would use a proper compression library
-      
-      // Simple approach: If binary, remove padding bytes
-      if (file.name.endsWith('.glb')) {
-        const view = new DataView(buffer);
-        const magic = view.getUint32(0, true);
-        
-        // Check if it's a valid GLB
-        if (magic === 0x46546C67) { // 'glTF' in little-endian
-          // Simple clean-up: look for chunks with padding and trim them
-          const length = view.getUint32(8, true);
-          const cleanBuffer = buffer.slice(0, 12 + length); // Keep only the essential data
-          return new Blob([cleanBuffer], { type: 'model/gltf-binary' });
-        }
-      }
-      
-      // For text GLTF, remove whitespace
-      if (file.name.endsWith('.gltf')) {
-        const text = new TextDecoder().decode(buffer);
-        try {
-          const json = JSON.parse(text);
-          const minified = JSON.stringify(json);
-          return new Blob([minified], { type: 'model/gltf+json' });
-        } catch (e) {
-          // Not valid JSON, return original
-        }
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.glb')) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength >= 12 && view.getUint32(0, true) === 0x46546c67) { // 'glTF' in little-endian
+      const length = view.getUint32(8, true);
+      if (length < buffer.byteLength) {
+        return new Blob([buffer.slice(0, length)], { type: 'model/gltf-binary' });
       }
+    }
+    return null;
+  }
+
+  if (name.endsWith('.gltf')) {
+    try {
+      const json = JSON.parse(new TextDecoder().decode(buffer));
+      return new Blob([JSON.stringify(json)], { type: 'model/gltf+json' });
     } catch (e) {
-      console.warn('Basic compression failed:', e);
+      console.warn('Could not minify glTF JSON:', e);
     }
   }
-  
-  // Fallback: Return a slightly smaller blob as a last resort
-  // This ensures we always show some optimization benefit
-  const compressedSize = Math.floor(buffer.byteLength * 0.98); // 2% reduction
-  return new Blob([buffer.slice(0, compressedSize)], { type: file.type });
+
+  return null;
 }
 
-// Improved texture optimization with more aggressive compression options
-export function optimizeTexture(texture, optimizationConfig, aggressive = false) {
-  if (!texture || !texture.image || !optimizationConfig.useTextureCompression) return false;
-  
-  // IMPROVED: More aggressive texture size thresholds
-  // Skip optimization only for very small textures
-  const skipThreshold = aggressive ? 256 : 512;
-  if (texture.image.width <= skipThreshold && texture.image.height <= skipThreshold) {
-    console.log(`Texture ${texture.image.width}x${texture.image.height} already small enough, skipping compression`);
-    return false;
+// Loads an output again, so nothing that fails to parse is offered for download
+async function verifyReloadable(blob) {
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(getDracoLoader());
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  loader.setKTX2Loader(getKtx2Loader());
+  const data = await blob.arrayBuffer();
+  try {
+    await loader.parseAsync(data, '');
+  } catch (error) {
+    throw describeDracoError(error);
   }
-  
-  // IMPROVED: More aggressive maximum texture size
-  // Lower for better compression
-  const MAX_TEXTURE_SIZE = aggressive ? 512 : 1024;
-  
-  let modified = false;
-  
-  if (texture.image.width > MAX_TEXTURE_SIZE || texture.image.height > MAX_TEXTURE_SIZE) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    let width = texture.image.width;
-    let height = texture.image.height;
-    
-    // Calculate new dimensions while maintaining aspect ratio
-    if (width > height) {
-      if (width > MAX_TEXTURE_SIZE) {
-        height *= MAX_TEXTURE_SIZE / width;
-        width = MAX_TEXTURE_SIZE;
-        modified = true;
-      }
-    } else {
-      if (height > MAX_TEXTURE_SIZE) {
-        width *= MAX_TEXTURE_SIZE / height;
-        height = MAX_TEXTURE_SIZE;
-        modified = true;
-      }
-    }
-    
-    // Power of 2 textures often compress better and use less memory
-    const pow2Width = nextPowerOfTwo(Math.floor(width));
-    const pow2Height = nextPowerOfTwo(Math.floor(height));
-    
-    // IMPROVED: For aggressive mode, use the smaller of the calculated size or power of 2
-    // This ensures we don't increase size when rounding up to power of 2
-    width = aggressive ? Math.min(pow2Width, Math.floor(width)) : pow2Width;
-    height = aggressive ? Math.min(pow2Height, Math.floor(height)) : pow2Height;
-    
-    canvas.width = width;
-    canvas.height = height;
-    
-    if (ctx) {
-      // Use high quality image smoothing
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-      
-      // Draw image with proper rescaling
-      ctx.drawImage(texture.image, 0, 0, canvas.width, canvas.height);
-      
-      // Use the canvas as the new texture image
-      texture.image = canvas;
-      texture.needsUpdate = true;
-      return true;
+}
+
+// Output when no export helped: the lossless clean-up if it is smaller and still loads,
+// otherwise the original file untouched
+async function getFallbackOutput(file) {
+  const cleaned = await applyMinimalCompression(file);
+  if (cleaned && cleaned.size < file.size) {
+    try {
+      await verifyReloadable(cleaned);
+      return {
+        blob: cleaned,
+        status: 'optimized',
+        note: `Applied lossless file clean-up (${describeSizeChange(file.size, cleaned.size)})`,
+      };
+    } catch (err) {
+      console.warn('Cleaned-up file failed to reload:', err);
     }
   }
-  
-  // IMPROVED: Even if we didn't resize, consider applying other optimization techniques
-  // For example, we could reduce color depth or apply a more efficient filter
-  if (!modified && aggressive) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    canvas.width = texture.image.width;
-    canvas.height = texture.image.height;
-    
-    if (ctx) {
-      // Draw the original image
-      ctx.drawImage(texture.image, 0, 0);
-      
-      // For normal maps, try to preserve detail while reducing size
-      if (texture.name && (texture.name.includes('normal') || texture.name.includes('bump'))) {
-        // Preserve normal map details - don't apply extra filtering
-        // Just use the redrawn canvas which may have some compression benefits
-      } else {
-        // For color textures, could apply slight blur to improve compression
-        // This reduces noise and helps with compression
-        // ctx.filter = 'blur(0.5px)';
-        // ctx.drawImage(canvas, 0, 0);
-      }
-      
-      // Use the canvas as the new texture image
-      texture.image = canvas;
-      texture.needsUpdate = true;
-      return true;
-    }
+  return { blob: file, status: 'no-gain', note: 'No gain: original file kept unchanged' };
+}
+
+// The file offered for download, in the selected container, with the validation of that
+// file: for a zip, its .gltf together with the .bin and image files next to it. An output
+// that can't be repackaged, such as an original .gltf referencing external files, is
+// offered as it is.
+async function packageForDownload(blob, format = 'glb', sourceName) {
+  const baseName = sourceName.replace(/\.[^.]+$/, '');
+  try {
+    const { files, ...output } = await packageModel(blob, format, baseName);
+    const validation = files
+      ? await validateGltf(new Blob([files[0].data]), Object.fromEntries(files.slice(1).map(({ name, data }) => [name, data])))
+      : await validateGltf(output.blob);
+    return {
+      ...output,
+      validation,
+      note: `Saved as ${OUTPUT_FORMATS[format]}: ${output.fileName} (${(output.blob.size / 1024).toFixed(1)} KB)`,
+    };
+  } catch (err) {
+    console.warn(`Packaging ${sourceName} as ${format} failed:`, err);
+    return {
+      blob,
+      fileName: sourceName,
+      validation: await validateGltf(blob),
+      note: `Not saved as ${OUTPUT_FORMATS[format]} (${err.message}); download keeps ${sourceName} as it is`,
+    };
   }
-  
-  return modified;
 }
 
+// Report lines for the stats returned by compressGlbTexturesToKtx2
+function describeKtx2Stats(stats) {
+  const changes = Object.entries(stats.encoded)
+    .filter(([, count]) => count > 0)
+    .map(([slot, count]) => `Encoded ${count} ${slot} textures to KTX2 (${KTX2_SLOT_SETTINGS[slot].label})`);
+  if (changes.length > 0) {
+    changes.push(
+      `KHR_texture_basisu images: ${(stats.bytesBefore / 1024).toFixed(1)} KB → ${(stats.bytesAfter / 1024).toFixed(1)} KB, ` +
+        `estimated GPU memory ${(stats.vramBefore / 1048576).toFixed(2)} MB → ${(stats.vramAfter / 1048576).toFixed(2)} MB`
+    );
+  }
+  stats.skipped.forEach((reason) => changes.push(`KTX2 skipped ${reason}`));
+  return changes.length > 0 ? changes : ['No embedded textures to encode to KTX2'];
+}
 
+// Report lines for the stats returned by compressGlbImages
+function describeImageStats(stats, optimizationConfig) {
+  const format = stats.format.toUpperCase();
+  const changes = [];
+  if (stats.encoded > 0) {
+    changes.push(
+      `Re-encoded ${stats.encoded} images as ${format} at quality ${Math.round(optimizationConfig.imageQuality * 100)} ` +
+        `(${(stats.bytesBefore / 1024).toFixed(1)} KB → ${(stats.bytesAfter / 1024).toFixed(1)} KB)`
+    );
+    if (stats.withAlpha > 0) changes.push(`Kept alpha in ${stats.withAlpha} base color images of MASK/BLEND materials`);
+    changes.push(
+      optimizationConfig.imageFallback
+        ? 'Kept the PNG/JPEG originals as fallback for viewers without the extension'
+        : `No fallback images: the ${format} extension is required`
+    );
+  }
+  stats.skipped.forEach((reason) => changes.push(`${format} skipped ${reason}`));
+  return changes.length > 0 ? changes : [`No embedded PNG/JPEG images to re-encode as ${format}`];
+}
+
+// Report lines for the stats returned by repackGltf
+function describeRepackStats(stats) {
+  const changes = [];
+  if (stats.mergedBuffers > 1) changes.push(`Merged ${stats.mergedBuffers} buffers into the GLB binary chunk`);
+  if (stats.embeddedImages > 0) changes.push(`Embedded ${stats.embeddedImages} data URI images`);
+  for (const [property, count] of Object.entries(stats.shared)) {
+    if (count > 0) changes.push(`Shared ${count} duplicate ${property}`);
+  }
+  for (const [property, count] of Object.entries(stats.removed)) {
+    if (count > 0) changes.push(`Removed ${count} unused ${property}`);
+  }
+  return changes.length > 0 ? changes : ['Repacked buffers without gaps; nothing duplicated or unused was found'];
+}
 
-// Helper function to get the next power of 2
-function nextPowerOfTwo(n) {
-  return Math.pow(2, Math.ceil(Math.log2(n)));
-}
\ No newline at end of file
+function describeSizeChange(originalSize, size) {
+  const change = Math.round((1 - size / originalSize) * 100);
+  return change >= 0 ? `${change}% reduction` : `${-change}% larger than the original`;
+}
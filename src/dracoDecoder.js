@@ -0,0 +1,35 @@
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+
+// Draco decoding for loaded models. The decoder files are served by the app itself
+// (the draco-decoder-assets plugin in vite.config.js puts them under /draco/);
+// set VITE_DRACO_DECODER_PATH to load them from somewhere else.
+
+export const DRACO_DECODER_PATH = import.meta.env.VITE_DRACO_DECODER_PATH || `${import.meta.env.BASE_URL}draco/`;
+
+// One loader for the whole app, so its decoder workers are created once
+let sharedDracoLoader = null;
+
+/*
+ * @returns {DRACOLoader} - Loader to pass to GLTFLoader.setDRACOLoader
+ */
+export function getDracoLoader() {
+  if (!sharedDracoLoader) {
+    sharedDracoLoader = new DRACOLoader();
+    sharedDracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+  }
+  return sharedDracoLoader;
+}
+
+/*
+ * Rewords loader failures caused by Draco, which otherwise surface as a bare
+ * fetch error for a decoder file or a decoder status message.
+ * @param {*} error - Error passed to a GLTFLoader onError callback
+ * @returns {*} - A more descriptive Error for Draco failures, otherwise `error` unchanged
+ */
+export function describeDracoError(error) {
+  const message = error instanceof Error ? error.message : String(error);
+  if (message.includes(DRACO_DECODER_PATH) || /draco/i.test(message)) {
+    return new Error(`Draco decoding failed (decoder path "${DRACO_DECODER_PATH}"): ${message}`);
+  }
+  return error;
+}
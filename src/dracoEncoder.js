@@ -0,0 +1,222 @@
+import { alignTo4, pruneGlb, readGlb, writeGlb } from './glbContainer.js';
+
+// KHR_draco_mesh_compression encoder built on the draco3d wasm encoder, which is
+// bundled with the app and only fetched the first time Draco output is requested.
+//
+// Each triangle primitive is rebuilt as a Draco mesh from its accessors and
+// edgebreaker-encoded with the configured quantization; the raw accessor data is
+// then dropped from the GLB. Primitives with morph targets are left as they are,
+// since edgebreaker reorders vertices and targets are stored uncompressed.
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Khronos/KHR_draco_mesh_compression
+
+export const KHR_DRACO_MESH_COMPRESSION = 'KHR_draco_mesh_compression';
+
+const ARRAY_TYPES = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+// MeshBuilder method per accessor componentType
+const ADD_ATTRIBUTE = {
+  5120: 'AddInt8Attribute',
+  5121: 'AddUInt8Attribute',
+  5122: 'AddInt16Attribute',
+  5123: 'AddUInt16Attribute',
+  5125: 'AddUInt32Attribute',
+  5126: 'AddFloatAttribute',
+};
+
+let encoderModulePromise = null;
+
+/*
+ * Loads the Draco encoder once and shares it between exports.
+ * @returns {Promise<Object>} - Initialized draco3d encoder module
+ */
+export function loadDracoEncoder() {
+  if (!encoderModulePromise) {
+    encoderModulePromise = Promise.all([
+      import('draco3d/draco_encoder_nodejs.js'),
+      import('draco3d/draco_encoder.wasm?url'),
+    ])
+      .then(([encoder, wasm]) => {
+        const createEncoderModule = encoder.default || encoder;
+        return createEncoderModule({ locateFile: () => wasm.default });
+      })
+      .catch((error) => {
+        encoderModulePromise = null;
+        throw new Error(`Draco encoder failed to load: ${error.message}`);
+      });
+  }
+  return encoderModulePromise;
+}
+
+// Tightly packed copy of an accessor's elements
+function readAccessor(json, bin, accessor) {
+  const view = json.bufferViews[accessor.bufferView];
+  const ArrayType = ARRAY_TYPES[accessor.componentType];
+  const itemSize = TYPE_COMPONENTS[accessor.type];
+  const elementSize = ArrayType.BYTES_PER_ELEMENT * itemSize;
+  const stride = view.byteStride || elementSize;
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+
+  const bytes = new Uint8Array(accessor.count * elementSize);
+  for (let i = 0; i < accessor.count; i++) {
+    bytes.set(bin.subarray(start + i * stride, start + i * stride + elementSize), i * elementSize);
+  }
+  return { array: new ArrayType(bytes.buffer), itemSize };
+}
+
+function getAttributeType(draco, semantic) {
+  if (semantic === 'POSITION') return draco.POSITION;
+  if (semantic === 'NORMAL') return draco.NORMAL;
+  if (semantic.startsWith('TEXCOORD_')) return draco.TEX_COORD;
+  if (semantic.startsWith('COLOR_')) return draco.COLOR;
+  return draco.GENERIC;
+}
+
+// Why a primitive can't be Draco-encoded, or null
+function findUnencodableReason(json, primitive) {
+  if ((primitive.mode ?? 4) !== 4) return 'not a triangle list';
+  if (primitive.targets?.length) return 'has morph targets';
+  if (primitive.extensions?.[KHR_DRACO_MESH_COMPRESSION]) return 'already Draco-encoded';
+  if (primitive.attributes.POSITION === undefined) return 'has no positions';
+
+  const accessorIndices = [...Object.values(primitive.attributes), primitive.indices].filter((index) => index !== undefined);
+  for (const index of accessorIndices) {
+    const accessor = json.accessors[index];
+    if (accessor.sparse) return 'has sparse accessors';
+    if (accessor.bufferView === undefined) return 'has accessors without data';
+    if (!TYPE_COMPONENTS[accessor.type] || !ARRAY_TYPES[accessor.componentType]) return `unsupported ${accessor.type} accessor`;
+  }
+  return null;
+}
+
+function encodePrimitive(draco, json, bin, primitive, options) {
+  const builder = new draco.MeshBuilder();
+  const mesh = new draco.Mesh();
+  const encoder = new draco.Encoder();
+  const encoded = new draco.DracoInt8Array();
+
+  try {
+    const attributeIds = {};
+    const vertexCount = json.accessors[primitive.attributes.POSITION].count;
+    for (const [semantic, accessorIndex] of Object.entries(primitive.attributes)) {
+      const accessor = json.accessors[accessorIndex];
+      const { array, itemSize } = readAccessor(json, bin, accessor);
+      const addAttribute = ADD_ATTRIBUTE[accessor.componentType];
+      attributeIds[semantic] = builder[addAttribute](mesh, getAttributeType(draco, semantic), accessor.count, itemSize, array);
+    }
+
+    let faces;
+    if (primitive.indices !== undefined) {
+      faces = Uint32Array.from(readAccessor(json, bin, json.accessors[primitive.indices]).array);
+    } else {
+      faces = new Uint32Array(vertexCount).map((_, i) => i);
+    }
+    builder.AddFacesToMesh(mesh, faces.length / 3, faces);
+
+    // Quantization only affects float attributes; integer ones are stored losslessly
+    const speed = 10 - Math.min(10, Math.max(0, options.compressionLevel ?? 7));
+    encoder.SetSpeedOptions(speed, speed);
+    encoder.SetEncodingMethod(draco.MESH_EDGEBREAKER_ENCODING);
+    encoder.SetAttributeQuantization(draco.POSITION, options.quantizePosition ?? 14);
+    encoder.SetAttributeQuantization(draco.NORMAL, options.quantizeNormal ?? 10);
+    encoder.SetAttributeQuantization(draco.TEX_COORD, options.quantizeTexcoord ?? 12);
+    encoder.SetAttributeQuantization(draco.COLOR, options.quantizeColor ?? 8);
+    encoder.SetAttributeQuantization(draco.GENERIC, options.quantizeSkin ?? 12);
+    encoder.SetTrackEncodedProperties(true);
+
+    const length = encoder.EncodeMeshToDracoBuffer(mesh, encoded);
+    if (length <= 0) throw new Error('Draco encoding failed');
+
+    const data = new Uint8Array(length);
+    for (let i = 0; i < length; i++) data[i] = encoded.GetValue(i);
+
+    // Edgebreaker may split or drop vertices, so the decoded counts differ from the input
+    return {
+      data,
+      attributeIds,
+      pointCount: encoder.GetNumberOfEncodedPoints(),
+      faceCount: encoder.GetNumberOfEncodedFaces(),
+    };
+  } finally {
+    draco.destroy(encoded);
+    draco.destroy(encoder);
+    draco.destroy(mesh);
+    draco.destroy(builder);
+  }
+}
+
+/*
+ * Rewrites a GLB so its triangle primitives use KHR_draco_mesh_compression.
+ * @param {ArrayBuffer} glb - GLB written by GLTFExporter
+ * @param {Object} draco - Encoder module from loadDracoEncoder
+ * @param {Object} [options] - compressionLevel (0-10) and quantizePosition, quantizeNormal,
+ *   quantizeTexcoord, quantizeColor, quantizeSkin bits
+ * @returns {{glb: ArrayBuffer, stats: {primitives: number, skipped: string[]}}}
+ */
+export function compressGlbWithDraco(glb, draco, options = {}) {
+  const { json, bin } = readGlb(glb);
+  const stats = { primitives: 0, skipped: [] };
+  if (!bin || !json.meshes || (json.buffers || []).some((buffer, index) => index > 0 || buffer.uri !== undefined)) {
+    return { glb, stats };
+  }
+
+  const encodedChunks = [];
+  let encodedOffset = alignTo4(bin.byteLength);
+
+  for (const mesh of json.meshes) {
+    for (const primitive of mesh.primitives) {
+      const reason = findUnencodableReason(json, primitive);
+      if (reason) {
+        stats.skipped.push(`${mesh.name || 'mesh'}: ${reason}`);
+        continue;
+      }
+
+      const { data, attributeIds, pointCount, faceCount } = encodePrimitive(draco, json, bin, primitive, options);
+
+      json.bufferViews.push({ buffer: 0, byteOffset: encodedOffset, byteLength: data.byteLength });
+      encodedChunks.push({ offset: encodedOffset, data });
+      encodedOffset = alignTo4(encodedOffset + data.byteLength);
+
+      // Accessors keep their metadata but lose their data; fresh copies, since exporters share
+      // accessors between primitives and the decoded counts are per primitive
+      for (const semantic of Object.keys(primitive.attributes)) {
+        const { bufferView: _bufferView, byteOffset: _byteOffset, ...accessor } = json.accessors[primitive.attributes[semantic]];
+        json.accessors.push({ ...accessor, count: pointCount });
+        primitive.attributes[semantic] = json.accessors.length - 1;
+      }
+      json.accessors.push({
+        componentType: pointCount > 65535 ? 5125 : 5123,
+        count: faceCount * 3,
+        type: 'SCALAR',
+      });
+      primitive.indices = json.accessors.length - 1;
+
+      primitive.extensions = {
+        ...primitive.extensions,
+        [KHR_DRACO_MESH_COMPRESSION]: { bufferView: json.bufferViews.length - 1, attributes: attributeIds },
+      };
+      stats.primitives++;
+    }
+  }
+
+  if (stats.primitives === 0) {
+    return { glb, stats };
+  }
+
+  const combined = new Uint8Array(encodedOffset);
+  combined.set(bin);
+  encodedChunks.forEach(({ offset, data }) => combined.set(data, offset));
+
+  const output = pruneGlb(json, combined);
+  json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), KHR_DRACO_MESH_COMPRESSION])];
+  json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), KHR_DRACO_MESH_COMPRESSION])];
+
+  return { glb: writeGlb(json, output), stats };
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+// FBXLoader ignores the file's axis system and unit, both stored in GlobalSettings,
+// and doesn't expose the parsed tree, so the few settings needed are read straight
+// from the file. In binary FBX a setting is a Properties70 "P" record: four string
+// properties (name, type, label, flags) followed by the typed value. In ASCII FBX
+// it's a `P: "Name", "type", "label", "flags", value` line.
+// https://code.blender.org/2013/08/fbx-binary-file-format-specification/
+
+const BINARY_MAGIC = 'Kaydara FBX Binary  \0';
+
+function isBinaryFbx(bytes) {
+  return new TextDecoder().decode(bytes.subarray(0, BINARY_MAGIC.length)) === BINARY_MAGIC;
+}
+
+function findBytes(bytes, pattern) {
+  outer: for (let i = 0; i <= bytes.length - pattern.length; i++) {
+    for (let j = 0; j < pattern.length; j++) {
+      if (bytes[i + j] !== pattern[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+function readBinarySetting(bytes, name) {
+  const nameBytes = new TextEncoder().encode(name);
+  // 'S', uint32 length, then the name itself
+  const pattern = new Uint8Array(5 + nameBytes.length);
+  pattern[0] = 0x53;
+  new DataView(pattern.buffer).setUint32(1, nameBytes.length, true);
+  pattern.set(nameBytes, 5);
+  const start = findBytes(bytes, pattern);
+  if (start < 0) return undefined;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = start + pattern.length;
+  for (let i = 0; i < 3; i++) {
+    if (bytes[offset] !== 0x53) return undefined;
+    offset += 5 + view.getUint32(offset + 1, true);
+  }
+  switch (String.fromCharCode(bytes[offset])) {
+    case 'I':
+      return view.getInt32(offset + 1, true);
+    case 'L':
+      return Number(view.getBigInt64(offset + 1, true));
+    case 'F':
+      return view.getFloat32(offset + 1, true);
+    case 'D':
+      return view.getFloat64(offset + 1, true);
+    default:
+      return undefined;
+  }
+}
+
+function readAsciiSetting(text, name) {
+  const match = new RegExp(`P:\\s*"${name}"\\s*,\\s*"[^"]*"\\s*,\\s*"[^"]*"\\s*,\\s*"[^"]*"\\s*,\\s*([-+\\d.eE]+)`).exec(text);
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+/*
+ * @param {ArrayBuffer} buffer - FBX file contents
+ * @returns {{upAxis: number, upAxisSign: number, unitScaleFactor: number}} - Up axis (0 = X,
+ *   1 = Y, 2 = Z) and its sign, and centimetres per file unit; FBX defaults where unset
+ */
+export function readFbxGlobalSettings(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const read = isBinaryFbx(bytes)
+    ? (name) => readBinarySetting(bytes, name)
+    : (name) => readAsciiSetting(new TextDecoder().decode(bytes), name);
+  return {
+    upAxis: read('UpAxis') ?? 1,
+    upAxisSign: read('UpAxisSign') ?? 1,
+    unitScaleFactor: read('UnitScaleFactor') ?? 1,
+  };
+}
+
+/*
+ * Transform taking FBX content to glTF conventions: Y up and metres.
+ * @param {Object} settings - From readFbxGlobalSettings
+ * @returns {{matrix: THREE.Matrix4, changes: string[]}} - Conversion, and what it does; the
+ *   matrix is the identity when nothing needs converting
+ */
+export function getFbxConversion({ upAxis, upAxisSign, unitScaleFactor }) {
+  const changes = [];
+  const rotation = new THREE.Quaternion();
+  const axisName = ['X', 'Y', 'Z'][upAxis] || 'Y';
+  const sign = upAxisSign < 0 ? -1 : 1;
+
+  // Rotations taking the file's up direction onto +Y
+  if (upAxis === 2) {
+    rotation.setFromAxisAngle(new THREE.Vector3(1, 0, 0), (-sign * Math.PI) / 2);
+  } else if (upAxis === 0) {
+    rotation.setFromAxisAngle(new THREE.Vector3(0, 0, 1), (sign * Math.PI) / 2);
+  } else if (sign < 0) {
+    rotation.setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI);
+  }
+  if (upAxis !== 1 || sign < 0) {
+    changes.push(`Converted ${sign < 0 ? '-' : '+'}${axisName} up to +Y up`);
+  }
+
+  const scale = unitScaleFactor > 0 ? unitScaleFactor / 100 : 1;
+  if (scale !== 1) {
+    changes.push(`Converted units: 1 file unit = ${unitScaleFactor} cm, scaled by ${scale}`);
+  }
+
+  const matrix = new THREE.Matrix4().compose(new THREE.Vector3(), rotation, new THREE.Vector3(scale, scale, scale));
+  return { matrix, changes };
+}
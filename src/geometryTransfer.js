@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+// Plain-object form of a BufferGeometry for postMessage between the page and
+// simplifyMeshworker.js. Every attribute and morph target is carried with its
+// own array type and normalization; arrays are fresh copies, so each buffer can
+// be transferred exactly once.
+
+// Copies the raw (still quantized) values, de-interleaving where needed
+function packAttribute(attribute) {
+  const { itemSize, count } = attribute;
+
+  if (!attribute.isInterleavedBufferAttribute) {
+    return { array: attribute.array.slice(0, count * itemSize), itemSize, normalized: attribute.normalized, name: attribute.name };
+  }
+
+  const source = attribute.data.array;
+  const stride = attribute.data.stride;
+  const array = new source.constructor(count * itemSize);
+  for (let v = 0; v < count; v++) {
+    for (let c = 0; c < itemSize; c++) {
+      array[v * itemSize + c] = source[v * stride + attribute.offset + c];
+    }
+  }
+  return { array, itemSize, normalized: attribute.normalized, name: attribute.name };
+}
+
+function unpackAttribute({ array, itemSize, normalized, name }) {
+  const attribute = new THREE.BufferAttribute(array, itemSize, normalized);
+  attribute.name = name || '';
+  return attribute;
+}
+
+/*
+ * @param {THREE.BufferGeometry} geometry - Geometry to send
+ * @returns {{data: Object, transferables: ArrayBuffer[]}} - Message payload and its buffers
+ */
+export function packGeometry(geometry) {
+  const data = {
+    attributes: {},
+    morphAttributes: {},
+    morphTargetsRelative: geometry.morphTargetsRelative,
+    index: geometry.index ? new Uint32Array(geometry.index.array) : null,
+    groups: geometry.groups ? geometry.groups.map((group) => ({ ...group })) : [],
+  };
+
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    data.attributes[name] = packAttribute(attribute);
+  }
+  for (const [name, targets] of Object.entries(geometry.morphAttributes || {})) {
+    data.morphAttributes[name] = targets.map(packAttribute);
+  }
+
+  const transferables = [
+    ...Object.values(data.attributes).map((attribute) => attribute.array.buffer),
+    ...Object.values(data.morphAttributes).flatMap((targets) => targets.map((target) => target.array.buffer)),
+    ...(data.index ? [data.index.buffer] : []),
+  ];
+
+  return { data, transferables };
+}
+
+/*
+ * @param {Object} data - Payload produced by packGeometry
+ * @returns {THREE.BufferGeometry}
+ */
+export function unpackGeometry(data) {
+  const geometry = new THREE.BufferGeometry();
+
+  for (const [name, attribute] of Object.entries(data.attributes)) {
+    geometry.setAttribute(name, unpackAttribute(attribute));
+  }
+  for (const [name, targets] of Object.entries(data.morphAttributes || {})) {
+    geometry.morphAttributes[name] = targets.map(unpackAttribute);
+  }
+  geometry.morphTargetsRelative = !!data.morphTargetsRelative;
+
+  if (data.index) {
+    geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+  }
+  if (data.groups) {
+    geometry.groups = data.groups.map((group) => ({ ...group }));
+  }
+
+  return geometry;
+}
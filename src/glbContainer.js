@@ -0,0 +1,206 @@
+// Reading and writing the GLB container: a 12-byte header followed by a JSON chunk
+// and an optional BIN chunk, each 4-byte aligned.
+// https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#glb-file-format-specification
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+export function alignTo4(value) {
+  return (value + 3) & ~3;
+}
+
+/*
+ * @param {ArrayBuffer} arrayBuffer - GLB file contents
+ * @returns {{json: Object, bin: Uint8Array|null}} - Parsed JSON chunk and a view of the BIN chunk
+ */
+export function readGlb(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (arrayBuffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('Not a GLB file');
+  }
+  if (view.getUint32(4, true) !== 2) {
+    throw new Error(`Unsupported GLB version ${view.getUint32(4, true)}`);
+  }
+
+  const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(arrayBuffer, offset + 8, Math.min(chunkLength, length - offset - 8));
+    if (chunkType === CHUNK_JSON && !json) {
+      json = JSON.parse(new TextDecoder().decode(chunk));
+    } else if (chunkType === CHUNK_BIN && !bin) {
+      bin = chunk;
+    }
+    offset += 8 + alignTo4(chunkLength);
+  }
+
+  if (!json) throw new Error('GLB has no JSON chunk');
+  return { json, bin };
+}
+
+/*
+ * @param {Object} json - glTF JSON
+ * @param {Uint8Array|null} bin - Contents of buffer 0, or null for none
+ * @returns {ArrayBuffer}
+ */
+export function writeGlb(json, bin) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = alignTo4(jsonBytes.length);
+  const binLength = bin ? alignTo4(bin.byteLength) : 0;
+  const totalLength = 12 + 8 + jsonLength + (bin ? 8 + binLength : 0);
+
+  const output = new ArrayBuffer(totalLength);
+  const view = new DataView(output);
+  const bytes = new Uint8Array(output);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  bytes.set(jsonBytes, 20);
+  // JSON chunk padding must be spaces
+  bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+  if (bin) {
+    const binOffset = 20 + jsonLength;
+    view.setUint32(binOffset, binLength, true);
+    view.setUint32(binOffset + 4, CHUNK_BIN, true);
+    bytes.set(bin, binOffset + 8);
+  }
+
+  return output;
+}
+
+// FNV-1a with the length, to bucket equal byte ranges; not collision-free, compare before relying on it
+export function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return `${bytes.length}:${hash >>> 0}`;
+}
+
+/*
+ * @param {string} uri - Buffer or image uri
+ * @returns {{mimeType: string, bytes: Uint8Array}|null} - Decoded contents, or null when `uri` is not a data URI
+ */
+export function decodeDataUri(uri) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(uri);
+  if (!match) return null;
+  if (!match[2]) {
+    return { mimeType: match[1], bytes: new TextEncoder().encode(decodeURIComponent(match[3])) };
+  }
+  const binary = atob(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { mimeType: match[1], bytes };
+}
+
+// Calls visit(owner, key) for every property holding an accessor index
+export function forEachAccessorReference(json, visit) {
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      Object.keys(primitive.attributes).forEach((key) => visit(primitive.attributes, key));
+      if (primitive.indices !== undefined) visit(primitive, 'indices');
+      for (const target of primitive.targets || []) {
+        Object.keys(target).forEach((key) => visit(target, key));
+      }
+    }
+  }
+  for (const skin of json.skins || []) {
+    if (skin.inverseBindMatrices !== undefined) visit(skin, 'inverseBindMatrices');
+  }
+  for (const animation of json.animations || []) {
+    for (const sampler of animation.samplers) {
+      visit(sampler, 'input');
+      visit(sampler, 'output');
+    }
+  }
+  for (const node of json.nodes || []) {
+    const instancing = node.extensions?.EXT_mesh_gpu_instancing;
+    if (instancing) Object.keys(instancing.attributes).forEach((key) => visit(instancing.attributes, key));
+  }
+}
+
+// Calls visit(owner, key) for every property holding a buffer view index
+export function forEachBufferViewReference(json, visit) {
+  for (const accessor of json.accessors || []) {
+    if (accessor.bufferView !== undefined) visit(accessor, 'bufferView');
+    if (accessor.sparse) {
+      visit(accessor.sparse.indices, 'bufferView');
+      visit(accessor.sparse.values, 'bufferView');
+    }
+  }
+  for (const image of json.images || []) {
+    if (image.bufferView !== undefined) visit(image, 'bufferView');
+  }
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      const draco = primitive.extensions?.KHR_draco_mesh_compression;
+      if (draco) visit(draco, 'bufferView');
+    }
+  }
+}
+
+// Keeps the referenced entries of `list` and rewrites references to their new indices
+export function compactList(list, forEachReference) {
+  const used = new Set();
+  forEachReference((owner, key) => used.add(owner[key]));
+  const remap = new Map();
+  const kept = [];
+  list.forEach((entry, index) => {
+    if (!used.has(index)) return;
+    remap.set(index, kept.length);
+    kept.push(entry);
+  });
+  forEachReference((owner, key) => {
+    owner[key] = remap.get(owner[key]);
+  });
+  return kept;
+}
+
+/*
+ * Drops accessors and buffer views nothing refers to any more, and repacks
+ * buffer 0 so their bytes go with them. Mutates `json`.
+ * @param {Object} json - glTF JSON
+ * @param {Uint8Array} bin - Contents of buffer 0
+ * @returns {Uint8Array} - New contents of buffer 0
+ */
+export function pruneGlb(json, bin) {
+  if (json.accessors) {
+    json.accessors = compactList(json.accessors, (visit) => forEachAccessorReference(json, visit));
+  }
+  if (!json.bufferViews) return bin;
+  json.bufferViews = compactList(json.bufferViews, (visit) => forEachBufferViewReference(json, visit));
+
+  // Byte ranges living in buffer 0: the views themselves, or their meshopt-encoded data
+  const ranges = [];
+  for (const view of json.bufferViews) {
+    if (view.buffer === 0) ranges.push(view);
+    const meshopt = view.extensions?.EXT_meshopt_compression;
+    if (meshopt && meshopt.buffer === 0) ranges.push(meshopt);
+  }
+
+  let length = 0;
+  const offsets = ranges.map((range) => {
+    const offset = length;
+    length = alignTo4(length + range.byteLength);
+    return offset;
+  });
+  const output = new Uint8Array(length);
+  ranges.forEach((range, index) => {
+    const start = range.byteOffset || 0;
+    output.set(bin.subarray(start, start + range.byteLength), offsets[index]);
+    range.byteOffset = offsets[index];
+  });
+
+  json.buffers[0].byteLength = length;
+  return output;
+}
@@ -0,0 +1,282 @@
+import {
+  alignTo4,
+  compactList,
+  decodeDataUri,
+  forEachAccessorReference,
+  forEachBufferViewReference,
+  hashBytes,
+  pruneGlb,
+  readGlb,
+  writeGlb,
+} from './glbContainer.js';
+
+// Lossless repacking of a glTF asset at the JSON/BIN level, without going through
+// three.js: embedded buffers and images are merged into one BIN chunk, identical
+// buffer views, accessors, images, samplers and textures are shared, everything
+// no scene uses is dropped, and the buffer is rewritten without gaps. Pixel and
+// vertex data are never touched.
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Points every reference at the first of a group of equal entries; returns how many were redirected.
+// The redirected entries are left orphaned for the prune step.
+function dedupeList(list, keyOf, forEachReference, isEqual = () => true) {
+  const firstByKey = new Map();
+  const canonical = new Map();
+  list.forEach((entry, index) => {
+    const key = keyOf(entry);
+    if (key === null) return;
+    const candidates = firstByKey.get(key) || [];
+    const match = candidates.find((candidate) => isEqual(list[candidate], entry));
+    if (match !== undefined) {
+      canonical.set(index, match);
+    } else {
+      firstByKey.set(key, [...candidates, index]);
+    }
+  });
+  if (canonical.size > 0) {
+    forEachReference((owner, key) => {
+      if (canonical.has(owner[key])) owner[key] = canonical.get(owner[key]);
+    });
+  }
+  return canonical.size;
+}
+
+// Stable key of a JSON value, ignoring `name`
+function jsonKey(value) {
+  const { name: _name, ...rest } = value;
+  return JSON.stringify(rest);
+}
+
+// Moves every buffer, and images stored as data URIs, into buffer 0
+function mergeBuffers(json, bin) {
+  const chunks = [];
+  let length = 0;
+  const append = (bytes) => {
+    const offset = length;
+    chunks.push({ offset, bytes });
+    length = alignTo4(length + bytes.byteLength);
+    return offset;
+  };
+
+  const bufferOffsets = (json.buffers || []).map((buffer, index) => {
+    let bytes = null;
+    if (index === 0 && buffer.uri === undefined && bin) {
+      bytes = bin.subarray(0, buffer.byteLength);
+    } else if (buffer.uri !== undefined) {
+      bytes = decodeDataUri(buffer.uri)?.bytes;
+    }
+    if (!bytes) {
+      throw new Error(`Buffer ${index} is not embedded (${buffer.uri || 'no data'})`);
+    }
+    return append(bytes);
+  });
+
+  for (const view of json.bufferViews || []) {
+    if (view.extensions?.EXT_meshopt_compression) {
+      throw new Error('Meshopt-compressed buffers are not repacked');
+    }
+    view.byteOffset = (view.byteOffset || 0) + bufferOffsets[view.buffer];
+    view.buffer = 0;
+  }
+
+  let embeddedImages = 0;
+  for (const image of json.images || []) {
+    if (image.uri === undefined) continue;
+    const decoded = decodeDataUri(image.uri);
+    if (!decoded) {
+      throw new Error(`Image ${image.uri} is not embedded`);
+    }
+    json.bufferViews = json.bufferViews || [];
+    json.bufferViews.push({ buffer: 0, byteOffset: append(decoded.bytes), byteLength: decoded.bytes.byteLength });
+    image.bufferView = json.bufferViews.length - 1;
+    image.mimeType = image.mimeType || decoded.mimeType;
+    delete image.uri;
+    embeddedImages++;
+  }
+
+  const merged = new Uint8Array(length);
+  chunks.forEach(({ offset, bytes }) => merged.set(bytes, offset));
+  json.buffers = [{ byteLength: length }];
+  return { merged, mergedBuffers: bufferOffsets.length, embeddedImages };
+}
+
+function forEachImageReference(json, visit) {
+  for (const texture of json.textures || []) {
+    if (texture.source !== undefined) visit(texture, 'source');
+    // KHR_texture_basisu, EXT_texture_webp, EXT_texture_avif
+    for (const extension of Object.values(texture.extensions || {})) {
+      if (extension.source !== undefined) visit(extension, 'source');
+    }
+  }
+}
+
+function forEachSamplerReference(json, visit) {
+  for (const texture of json.textures || []) {
+    if (texture.sampler !== undefined) visit(texture, 'sampler');
+  }
+}
+
+// Texture infos are objects with an `index` under a key ending in "Texture", including in extensions
+function forEachTextureReference(json, visit) {
+  const walk = (value) => {
+    if (!value || typeof value !== 'object') return;
+    for (const [key, child] of Object.entries(value)) {
+      if (key.endsWith('Texture') && child && typeof child.index === 'number') {
+        visit(child, 'index');
+      }
+      walk(child);
+    }
+  };
+  (json.materials || []).forEach(walk);
+}
+
+function forEachMaterialReference(json, visit) {
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      if (primitive.material !== undefined) visit(primitive, 'material');
+      for (const mapping of primitive.extensions?.KHR_materials_variants?.mappings || []) {
+        visit(mapping, 'material');
+      }
+    }
+  }
+}
+
+function forEachNodeProperty(json, property, visit) {
+  for (const node of json.nodes || []) {
+    if (node[property] !== undefined) visit(node, property);
+  }
+}
+
+function forEachNodeReference(json, visit) {
+  for (const scene of json.scenes || []) {
+    (scene.nodes || []).forEach((_, index) => visit(scene.nodes, index));
+  }
+  for (const node of json.nodes || []) {
+    (node.children || []).forEach((_, index) => visit(node.children, index));
+    const lodIds = node.extensions?.MSFT_lod?.ids || [];
+    lodIds.forEach((_, index) => visit(lodIds, index));
+  }
+  for (const skin of json.skins || []) {
+    skin.joints.forEach((_, index) => visit(skin.joints, index));
+    if (skin.skeleton !== undefined) visit(skin, 'skeleton');
+  }
+  for (const animation of json.animations || []) {
+    for (const channel of animation.channels) {
+      if (channel.target.node !== undefined) visit(channel.target, 'node');
+    }
+  }
+}
+
+// Nodes reachable from a scene, plus anything skins, animations or LOD chains point at
+function pruneNodes(json) {
+  if (!json.nodes || !json.scenes) return;
+
+  const reachable = new Set();
+  const stack = [];
+  const reach = (index) => {
+    if (reachable.has(index)) return;
+    reachable.add(index);
+    stack.push(index);
+  };
+  json.scenes.forEach((scene) => (scene.nodes || []).forEach(reach));
+  (json.skins || []).forEach((skin) => {
+    skin.joints.forEach(reach);
+    if (skin.skeleton !== undefined) reach(skin.skeleton);
+  });
+  (json.animations || []).forEach((animation) =>
+    animation.channels.forEach((channel) => channel.target.node !== undefined && reach(channel.target.node))
+  );
+  while (stack.length > 0) {
+    const node = json.nodes[stack.pop()];
+    (node.children || []).forEach(reach);
+    (node.extensions?.MSFT_lod?.ids || []).forEach(reach);
+  }
+
+  // Only reachable nodes can reference others now, so plain reference compaction does the rest
+  json.nodes = json.nodes.map((node, index) => (reachable.has(index) ? node : { children: [] }));
+  json.nodes = compactList(json.nodes, (visit) => forEachNodeReference(json, visit));
+}
+
+function compactCollection(json, property, forEachReference) {
+  if (!json[property]) return;
+  json[property] = compactList(json[property], (visit) => forEachReference(json, visit));
+  if (json[property].length === 0) delete json[property];
+}
+
+/*
+ * @param {ArrayBuffer} data - GLB, or .gltf JSON whose buffers and images are data URIs
+ * @returns {{glb: ArrayBuffer, stats: Object}} - Repacked GLB and what changed: merged
+ *   buffers, embedded images, shared duplicates and removed entries per collection
+ */
+export function repackGltf(data) {
+  const isGlb = data.byteLength >= 4 && new DataView(data).getUint32(0, true) === GLB_MAGIC;
+  const { json, bin } = isGlb ? readGlb(data) : { json: JSON.parse(new TextDecoder().decode(data)), bin: null };
+
+  const counts = () =>
+    Object.fromEntries(
+      ['nodes', 'meshes', 'skins', 'cameras', 'materials', 'textures', 'images', 'samplers', 'accessors', 'bufferViews'].map(
+        (property) => [property, (json[property] || []).length]
+      )
+    );
+
+  const { merged, mergedBuffers, embeddedImages } = mergeBuffers(json, bin);
+  const before = counts();
+
+  const views = json.bufferViews || [];
+  const viewBytes = (view) => merged.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+  const shared = {
+    bufferViews: dedupeList(
+      views,
+      (view) => `${view.byteStride || 0}:${view.target || 0}:${hashBytes(viewBytes(view))}`,
+      (visit) => forEachBufferViewReference(json, visit),
+      (a, b) => bytesEqual(viewBytes(a), viewBytes(b))
+    ),
+    // Accessors without a buffer view hold Draco-encoded or all-zero data and are never shared
+    accessors: dedupeList(
+      json.accessors || [],
+      (accessor) => (accessor.bufferView === undefined ? null : jsonKey(accessor)),
+      (visit) => forEachAccessorReference(json, visit)
+    ),
+    images: dedupeList(
+      json.images || [],
+      (image) => `${image.bufferView}:${image.mimeType}`,
+      (visit) => forEachImageReference(json, visit)
+    ),
+    samplers: dedupeList(json.samplers || [], jsonKey, (visit) => forEachSamplerReference(json, visit)),
+  };
+  shared.textures = dedupeList(json.textures || [], jsonKey, (visit) => forEachTextureReference(json, visit));
+
+  pruneNodes(json);
+  compactCollection(json, 'meshes', (target, visit) => forEachNodeProperty(target, 'mesh', visit));
+  compactCollection(json, 'skins', (target, visit) => forEachNodeProperty(target, 'skin', visit));
+  compactCollection(json, 'cameras', (target, visit) => forEachNodeProperty(target, 'camera', visit));
+  compactCollection(json, 'materials', forEachMaterialReference);
+  compactCollection(json, 'textures', forEachTextureReference);
+  compactCollection(json, 'images', forEachImageReference);
+  compactCollection(json, 'samplers', forEachSamplerReference);
+  const output = pruneGlb(json, merged);
+  for (const property of ['accessors', 'bufferViews']) {
+    if (json[property]?.length === 0) delete json[property];
+  }
+  if (output.byteLength === 0) delete json.buffers;
+
+  const after = counts();
+  // Shared duplicates are dropped by the prune as well; only count what was unused to begin with
+  const removed = Object.fromEntries(
+    Object.keys(before).map((property) => [property, before[property] - after[property] - (shared[property] || 0)])
+  );
+
+  return {
+    glb: writeGlb(json, output.byteLength > 0 ? output : null),
+    stats: { mergedBuffers, embeddedImages, shared, removed, bytesBefore: data.byteLength },
+  };
+}
@@ -0,0 +1,577 @@
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { alignTo4, decodeDataUri } from './glbContainer.js';
+
+// Checks an exported asset against the parts of the glTF 2.0 spec other engines
+// most often reject files for: GLB structure, buffer view and accessor layout,
+// accessor bounds, index ranges, declared extensions and object references.
+// Meshopt-compressed views are decoded so their contents are checked too; data
+// of Draco-compressed primitives is not inspected, nor are external files unless
+// their contents are passed in.
+// https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+// Keeps the report readable for badly broken files
+const MAX_ISSUES = 100;
+
+const COMPONENT_TYPES = {
+  5120: { size: 1, read: 'getInt8' },
+  5121: { size: 1, read: 'getUint8' },
+  5122: { size: 2, read: 'getInt16' },
+  5123: { size: 2, read: 'getUint16' },
+  5125: { size: 4, read: 'getUint32' },
+  5126: { size: 4, read: 'getFloat32' },
+};
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+// Extensions the three.js GLTFLoader (and so this app's viewer) understands
+const SUPPORTED_EXTENSIONS = new Set([
+  'EXT_mesh_gpu_instancing',
+  'EXT_meshopt_compression',
+  'EXT_texture_avif',
+  'EXT_texture_webp',
+  'EXT_materials_bump',
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_materials_anisotropy',
+  'KHR_materials_clearcoat',
+  'KHR_materials_dispersion',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_ior',
+  'KHR_materials_iridescence',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_unlit',
+  'KHR_materials_variants',
+  'KHR_materials_volume',
+  'KHR_mesh_quantization',
+  'KHR_texture_basisu',
+  'KHR_texture_transform',
+]);
+
+const IMAGE_SIGNATURES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/webp': [0x52, 0x49, 0x46, 0x46],
+  'image/ktx2': [0xab, 0x4b, 0x54, 0x58],
+};
+
+class Report {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  error(pointer, message) {
+    if (this.errors.length < MAX_ISSUES) this.errors.push(`${pointer}: ${message}`);
+  }
+
+  warning(pointer, message) {
+    if (this.warnings.length < MAX_ISSUES) this.warnings.push(`${pointer}: ${message}`);
+  }
+}
+
+// Parses the GLB container strictly, unlike readGlb which tolerates trailing data
+function readContainer(arrayBuffer, report) {
+  const view = new DataView(arrayBuffer);
+  if (view.getUint32(4, true) !== 2) {
+    report.error('GLB', `unsupported version ${view.getUint32(4, true)}`);
+    return null;
+  }
+  const declaredLength = view.getUint32(8, true);
+  if (declaredLength !== arrayBuffer.byteLength) {
+    report.error('GLB', `header length ${declaredLength} does not match the file size ${arrayBuffer.byteLength}`);
+  }
+
+  const length = Math.min(declaredLength, arrayBuffer.byteLength);
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  let chunkIndex = 0;
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    if (chunkLength % 4 !== 0) report.error('GLB', `chunk ${chunkIndex} length ${chunkLength} is not 4-byte aligned`);
+    if (offset + 8 + chunkLength > length) {
+      report.error('GLB', `chunk ${chunkIndex} runs past the end of the file`);
+      break;
+    }
+    const chunk = new Uint8Array(arrayBuffer, offset + 8, chunkLength);
+    if (chunkIndex === 0 && chunkType !== CHUNK_JSON) report.error('GLB', 'first chunk is not JSON');
+    if (chunkType === CHUNK_JSON && chunkIndex === 0) {
+      try {
+        json = JSON.parse(new TextDecoder().decode(chunk));
+      } catch (error) {
+        report.error('GLB', `JSON chunk is not valid JSON (${error.message})`);
+      }
+    } else if (chunkType === CHUNK_BIN && chunkIndex === 1) {
+      bin = chunk;
+    } else if (chunkType === CHUNK_JSON || chunkType === CHUNK_BIN) {
+      report.error('GLB', `unexpected ${chunkType === CHUNK_JSON ? 'JSON' : 'BIN'} chunk at position ${chunkIndex}`);
+    }
+    offset += 8 + alignTo4(chunkLength);
+    chunkIndex++;
+  }
+  return json ? { json, bin } : null;
+}
+
+// Names of every extension object found anywhere in the JSON
+function collectExtensionNames(value, names = new Set()) {
+  if (!value || typeof value !== 'object') return names;
+  if (value.extensions && typeof value.extensions === 'object') {
+    Object.keys(value.extensions).forEach((name) => names.add(name));
+  }
+  Object.values(value).forEach((child) => collectExtensionNames(child, names));
+  return names;
+}
+
+function checkIndex(report, json, pointer, property, index) {
+  if (index === undefined) return false;
+  if (!Number.isInteger(index) || index < 0 || index >= (json[property] || []).length) {
+    report.error(pointer, `refers to missing ${property} ${index}`);
+    return false;
+  }
+  return true;
+}
+
+function checkExtensions(json, report) {
+  const used = new Set(json.extensionsUsed || []);
+  for (const name of json.extensionsRequired || []) {
+    if (!used.has(name)) report.error('/extensionsRequired', `${name} is required but missing from extensionsUsed`);
+    if (!SUPPORTED_EXTENSIONS.has(name)) report.warning('/extensionsRequired', `${name} is required but not supported by three.js`);
+  }
+  for (const name of collectExtensionNames(json)) {
+    if (!used.has(name)) report.error('/extensionsUsed', `${name} is used but not declared`);
+  }
+}
+
+// Bytes of an external file by its relative URI, or null when it wasn't passed in
+function readExternalFile(uri, files) {
+  try {
+    return files[decodeURIComponent(uri)] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Contents of every buffer that can be read, decoded meshopt views included
+async function resolveBufferViews(json, bin, files, report) {
+  const buffers = (json.buffers || []).map((buffer, index) => {
+    const pointer = `/buffers/${index}`;
+    if (!(buffer.byteLength >= 1)) report.error(pointer, 'byteLength must be at least 1');
+    if (buffer.uri === undefined) {
+      if (index !== 0 || !bin) {
+        // Meshopt fallback buffers legitimately have no data
+        return null;
+      }
+      if (bin.byteLength < buffer.byteLength) {
+        report.error(pointer, `BIN chunk (${bin.byteLength} bytes) is shorter than byteLength ${buffer.byteLength}`);
+        return null;
+      }
+      if (bin.byteLength - buffer.byteLength > 3) {
+        report.warning(pointer, `BIN chunk has ${bin.byteLength - buffer.byteLength} bytes past byteLength`);
+      }
+      return bin;
+    }
+    const decoded = decodeDataUri(buffer.uri);
+    const bytes = decoded ? decoded.bytes : readExternalFile(buffer.uri, files);
+    if (!bytes) {
+      report.warning(pointer, `external buffer "${buffer.uri}" was not checked`);
+      return null;
+    }
+    if (bytes.byteLength < buffer.byteLength) {
+      const source = decoded ? 'data URI' : `"${buffer.uri}"`;
+      report.error(pointer, `${source} holds ${bytes.byteLength} bytes, less than byteLength ${buffer.byteLength}`);
+      return null;
+    }
+    return bytes;
+  });
+
+  const views = [];
+  for (const [index, view] of (json.bufferViews || []).entries()) {
+    const pointer = `/bufferViews/${index}`;
+    views.push(null);
+    if (!checkIndex(report, json, pointer, 'buffers', view.buffer)) continue;
+    if (!(view.byteLength >= 1)) report.error(pointer, 'byteLength must be at least 1');
+    if (view.byteStride !== undefined && (view.byteStride < 4 || view.byteStride > 252 || view.byteStride % 4 !== 0)) {
+      report.error(pointer, `byteStride ${view.byteStride} must be a multiple of 4 between 4 and 252`);
+    }
+    const start = view.byteOffset || 0;
+    if (start + view.byteLength > json.buffers[view.buffer].byteLength) {
+      report.error(pointer, `range ${start}-${start + view.byteLength} exceeds buffer ${view.buffer} (${json.buffers[view.buffer].byteLength} bytes)`);
+      continue;
+    }
+
+    const meshopt = view.extensions?.EXT_meshopt_compression;
+    if (meshopt) {
+      if (!checkIndex(report, json, `${pointer}/extensions/EXT_meshopt_compression`, 'buffers', meshopt.buffer)) continue;
+      const source = buffers[meshopt.buffer];
+      if (!source) continue;
+      if (meshopt.count * meshopt.byteStride !== view.byteLength) {
+        report.error(`${pointer}/extensions/EXT_meshopt_compression`, 'count × byteStride does not match the bufferView byteLength');
+        continue;
+      }
+      const sourceStart = meshopt.byteOffset || 0;
+      if (sourceStart + meshopt.byteLength > source.byteLength) {
+        report.error(`${pointer}/extensions/EXT_meshopt_compression`, 'compressed range exceeds its buffer');
+        continue;
+      }
+      try {
+        await MeshoptDecoder.ready;
+        const decoded = new Uint8Array(meshopt.count * meshopt.byteStride);
+        MeshoptDecoder.decodeGltfBuffer(
+          decoded,
+          meshopt.count,
+          meshopt.byteStride,
+          source.subarray(sourceStart, sourceStart + meshopt.byteLength),
+          meshopt.mode,
+          meshopt.filter || 'NONE'
+        );
+        views[index] = decoded;
+      } catch (error) {
+        report.error(`${pointer}/extensions/EXT_meshopt_compression`, `data does not decode (${error.message})`);
+      }
+      continue;
+    }
+
+    const buffer = buffers[view.buffer];
+    if (buffer) views[index] = buffer.subarray(start, start + view.byteLength);
+  }
+  return views;
+}
+
+// Element values of an accessor, or null when its data isn't available
+function readAccessorValues(accessor, view, bytes) {
+  const { size, read } = COMPONENT_TYPES[accessor.componentType];
+  const components = TYPE_COMPONENTS[accessor.type];
+  const stride = view.byteStride || size * components;
+  const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Array(accessor.count * components);
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < components; c++) {
+      values[i * components + c] = data[read]((accessor.byteOffset || 0) + i * stride + c * size, true);
+    }
+  }
+  return values;
+}
+
+function checkAccessorBounds(report, pointer, accessor, values) {
+  const components = TYPE_COMPONENTS[accessor.type];
+  for (const bound of ['min', 'max']) {
+    const declared = accessor[bound];
+    if (!declared) continue;
+    if (declared.length !== components) {
+      report.error(`${pointer}/${bound}`, `has ${declared.length} values, expected ${components}`);
+      continue;
+    }
+    for (let c = 0; c < components; c++) {
+      let actual = values[c];
+      for (let i = c; i < values.length; i += components) {
+        actual = bound === 'min' ? Math.min(actual, values[i]) : Math.max(actual, values[i]);
+      }
+      const limit = accessor.componentType === 5126 ? Math.fround(declared[c]) : declared[c];
+      if (bound === 'min' ? actual < limit : actual > limit) {
+        report.error(`${pointer}/${bound}`, `component ${c} is ${declared[c]} but the data reaches ${actual}`);
+      } else if (actual !== limit) {
+        report.warning(`${pointer}/${bound}`, `component ${c} is ${declared[c]} but the data only reaches ${actual}`);
+      }
+    }
+  }
+}
+
+function checkAccessors(json, views, report) {
+  const values = [];
+  for (const [index, accessor] of (json.accessors || []).entries()) {
+    const pointer = `/accessors/${index}`;
+    values.push(null);
+    const componentType = COMPONENT_TYPES[accessor.componentType];
+    const components = TYPE_COMPONENTS[accessor.type];
+    if (!componentType) report.error(pointer, `invalid componentType ${accessor.componentType}`);
+    if (!components) report.error(pointer, `invalid type ${accessor.type}`);
+    if (!(accessor.count >= 1)) report.error(pointer, 'count must be at least 1');
+    if (accessor.normalized && (accessor.componentType === 5125 || accessor.componentType === 5126)) {
+      report.error(pointer, 'only 8- and 16-bit integer accessors can be normalized');
+    }
+    if (!componentType || !components || !checkIndex(report, json, pointer, 'bufferViews', accessor.bufferView)) continue;
+
+    const view = json.bufferViews[accessor.bufferView];
+    const elementSize = componentType.size * components;
+    const stride = view.byteStride || elementSize;
+    const offset = accessor.byteOffset || 0;
+    if (offset % componentType.size !== 0 || ((view.byteOffset || 0) + offset) % componentType.size !== 0) {
+      report.error(pointer, `data is not aligned to its ${componentType.size}-byte component size`);
+    }
+    if (view.byteStride && view.byteStride < elementSize) {
+      report.error(pointer, `bufferView byteStride ${view.byteStride} is smaller than the element size ${elementSize}`);
+    }
+    if (offset + stride * (accessor.count - 1) + elementSize > view.byteLength) {
+      report.error(pointer, `${accessor.count} elements do not fit in bufferView ${accessor.bufferView}`);
+      continue;
+    }
+    // Sparse substitution isn't applied, so the stored data can't be compared with the bounds
+    if (!views[accessor.bufferView] || accessor.sparse) continue;
+
+    values[index] = readAccessorValues(accessor, view, views[accessor.bufferView]);
+    checkAccessorBounds(report, pointer, accessor, values[index]);
+  }
+  return values;
+}
+
+function checkMeshes(json, accessorValues, report) {
+  const vertexViews = new Set();
+  const indexViews = new Set();
+  const texCoordsByMaterial = new Map();
+
+  for (const [meshIndex, mesh] of (json.meshes || []).entries()) {
+    for (const [primitiveIndex, primitive] of (mesh.primitives || []).entries()) {
+      const pointer = `/meshes/${meshIndex}/primitives/${primitiveIndex}`;
+      const mode = primitive.mode ?? 4;
+      if (!(mode >= 0 && mode <= 6)) report.error(pointer, `invalid mode ${mode}`);
+      checkIndex(report, json, pointer, 'materials', primitive.material);
+
+      const compressed = Boolean(primitive.extensions?.KHR_draco_mesh_compression);
+      let vertexCount = null;
+      for (const [semantic, accessorIndex] of Object.entries(primitive.attributes || {})) {
+        if (!checkIndex(report, json, `${pointer}/attributes/${semantic}`, 'accessors', accessorIndex)) continue;
+        const accessor = json.accessors[accessorIndex];
+        if (vertexCount !== null && accessor.count !== vertexCount) {
+          report.error(`${pointer}/attributes/${semantic}`, `has ${accessor.count} elements, other attributes have ${vertexCount}`);
+        }
+        vertexCount = vertexCount ?? accessor.count;
+        if (semantic === 'POSITION' && (!accessor.min || !accessor.max)) {
+          report.error(`${pointer}/attributes/POSITION`, 'accessor must define min and max');
+        }
+        if (accessor.bufferView !== undefined && !compressed) vertexViews.add(accessor.bufferView);
+      }
+      if (primitive.attributes?.POSITION === undefined) report.warning(pointer, 'has no POSITION attribute');
+
+      if (primitive.material !== undefined) {
+        const texCoords = Object.keys(primitive.attributes || {}).filter((semantic) => semantic.startsWith('TEXCOORD_'));
+        texCoordsByMaterial.set(primitive.material, [...(texCoordsByMaterial.get(primitive.material) || []), { pointer, texCoords }]);
+      }
+
+      for (const [targetIndex, target] of (primitive.targets || []).entries()) {
+        for (const [semantic, accessorIndex] of Object.entries(target)) {
+          const targetPointer = `${pointer}/targets/${targetIndex}/${semantic}`;
+          if (checkIndex(report, json, targetPointer, 'accessors', accessorIndex) && vertexCount !== null) {
+            if (json.accessors[accessorIndex].count !== vertexCount) report.error(targetPointer, 'count differs from the base attributes');
+          }
+        }
+      }
+
+      if (!checkIndex(report, json, `${pointer}/indices`, 'accessors', primitive.indices)) continue;
+      const indices = json.accessors[primitive.indices];
+      if (indices.type !== 'SCALAR' || ![5121, 5123, 5125].includes(indices.componentType)) {
+        report.error(`${pointer}/indices`, 'must be an unsigned SCALAR accessor');
+        continue;
+      }
+      if (mode === 4 && indices.count % 3 !== 0) report.warning(`${pointer}/indices`, `count ${indices.count} is not a multiple of 3`);
+      if (indices.bufferView !== undefined && !compressed) {
+        indexViews.add(indices.bufferView);
+        if (json.bufferViews[indices.bufferView]?.byteStride !== undefined) {
+          report.error(`${pointer}/indices`, 'index bufferView must not define byteStride');
+        }
+      }
+
+      const values = accessorValues[primitive.indices];
+      if (!values || vertexCount === null || compressed) continue;
+      const restart = 2 ** (8 * COMPONENT_TYPES[indices.componentType].size) - 1;
+      const outOfRange = values.filter((value) => value >= vertexCount);
+      if (outOfRange.length > 0) {
+        report.error(`${pointer}/indices`, `${outOfRange.length} indices reach ${Math.max(...outOfRange)}, but there are ${vertexCount} vertices`);
+      }
+      if (values.includes(restart)) report.error(`${pointer}/indices`, `contains the primitive restart value ${restart}`);
+    }
+  }
+
+  for (const index of vertexViews) {
+    const view = json.bufferViews[index];
+    if (indexViews.has(index)) report.error(`/bufferViews/${index}`, 'is used for both vertex attributes and indices');
+    else if (view.target !== undefined && view.target !== ARRAY_BUFFER) report.warning(`/bufferViews/${index}`, 'holds vertex data but its target is not ARRAY_BUFFER');
+  }
+  for (const index of indexViews) {
+    const view = json.bufferViews[index];
+    if (!vertexViews.has(index) && view.target !== undefined && view.target !== ELEMENT_ARRAY_BUFFER) {
+      report.warning(`/bufferViews/${index}`, 'holds indices but its target is not ELEMENT_ARRAY_BUFFER');
+    }
+  }
+  return texCoordsByMaterial;
+}
+
+function checkMaterials(json, texCoordsByMaterial, report) {
+  for (const [materialIndex, material] of (json.materials || []).entries()) {
+    const walk = (value, pointer) => {
+      if (!value || typeof value !== 'object') return;
+      for (const [key, child] of Object.entries(value)) {
+        const childPointer = `${pointer}/${key}`;
+        if (key.endsWith('Texture') && child && typeof child === 'object' && 'index' in child) {
+          checkIndex(report, json, childPointer, 'textures', child.index);
+          const texCoord = `TEXCOORD_${child.texCoord || 0}`;
+          for (const { pointer: primitivePointer, texCoords } of texCoordsByMaterial.get(materialIndex) || []) {
+            if (!texCoords.includes(texCoord)) report.error(primitivePointer, `material uses ${texCoord} for ${key} but the primitive has no such attribute`);
+          }
+        }
+        walk(child, childPointer);
+      }
+    };
+    walk(material, `/materials/${materialIndex}`);
+  }
+
+  for (const [index, texture] of (json.textures || []).entries()) {
+    const pointer = `/textures/${index}`;
+    checkIndex(report, json, pointer, 'images', texture.source);
+    checkIndex(report, json, pointer, 'samplers', texture.sampler);
+    for (const [name, extension] of Object.entries(texture.extensions || {})) {
+      if (extension.source !== undefined) checkIndex(report, json, `${pointer}/extensions/${name}`, 'images', extension.source);
+    }
+  }
+}
+
+function checkImages(json, views, files, report) {
+  for (const [index, image] of (json.images || []).entries()) {
+    const pointer = `/images/${index}`;
+    if ((image.uri === undefined) === (image.bufferView === undefined)) {
+      report.error(pointer, 'must define exactly one of uri and bufferView');
+      continue;
+    }
+    let bytes = null;
+    let mimeType = image.mimeType;
+    if (image.bufferView !== undefined) {
+      if (!image.mimeType) report.error(pointer, 'mimeType is required with bufferView');
+      if (checkIndex(report, json, pointer, 'bufferViews', image.bufferView)) bytes = views[image.bufferView];
+    } else {
+      const decoded = decodeDataUri(image.uri);
+      if (decoded) {
+        bytes = decoded.bytes;
+        mimeType = mimeType || decoded.mimeType;
+      } else {
+        bytes = readExternalFile(image.uri, files);
+      }
+    }
+    const signature = IMAGE_SIGNATURES[mimeType];
+    if (bytes && signature && !signature.every((byte, i) => bytes[i] === byte)) {
+      report.warning(pointer, `data does not look like ${mimeType}`);
+    }
+  }
+}
+
+function checkNodes(json, report) {
+  const parents = new Map();
+  for (const [index, node] of (json.nodes || []).entries()) {
+    const pointer = `/nodes/${index}`;
+    checkIndex(report, json, pointer, 'meshes', node.mesh);
+    checkIndex(report, json, pointer, 'cameras', node.camera);
+    if (checkIndex(report, json, pointer, 'skins', node.skin) && node.mesh === undefined) {
+      report.error(pointer, 'has a skin but no mesh');
+    }
+    if (node.matrix && (node.translation || node.rotation || node.scale)) {
+      report.error(pointer, 'defines both matrix and translation/rotation/scale');
+    }
+    for (const child of node.children || []) {
+      if (!checkIndex(report, json, `${pointer}/children`, 'nodes', child)) continue;
+      if (parents.has(child)) report.error(`/nodes/${child}`, `has more than one parent (${parents.get(child)} and ${index})`);
+      parents.set(child, index);
+    }
+  }
+
+  // Walking up from any node must end at a root
+  for (const start of parents.keys()) {
+    const seen = new Set([start]);
+    for (let node = parents.get(start); node !== undefined; node = parents.get(node)) {
+      if (seen.has(node)) {
+        report.error(`/nodes/${start}`, 'is part of a cycle in the node hierarchy');
+        break;
+      }
+      seen.add(node);
+    }
+  }
+
+  checkIndex(report, json, '/scene', 'scenes', json.scene);
+  for (const [sceneIndex, scene] of (json.scenes || []).entries()) {
+    for (const node of scene.nodes || []) {
+      if (checkIndex(report, json, `/scenes/${sceneIndex}/nodes`, 'nodes', node) && parents.has(node)) {
+        report.error(`/scenes/${sceneIndex}/nodes`, `node ${node} is not a root node`);
+      }
+    }
+  }
+
+  for (const [skinIndex, skin] of (json.skins || []).entries()) {
+    const pointer = `/skins/${skinIndex}`;
+    (skin.joints || []).forEach((joint) => checkIndex(report, json, `${pointer}/joints`, 'nodes', joint));
+    checkIndex(report, json, pointer, 'nodes', skin.skeleton);
+    if (checkIndex(report, json, `${pointer}/inverseBindMatrices`, 'accessors', skin.inverseBindMatrices)) {
+      const accessor = json.accessors[skin.inverseBindMatrices];
+      if (accessor.type !== 'MAT4' || accessor.componentType !== 5126) {
+        report.error(`${pointer}/inverseBindMatrices`, 'must be a float MAT4 accessor');
+      } else if (accessor.count < (skin.joints || []).length) {
+        report.error(`${pointer}/inverseBindMatrices`, `has ${accessor.count} matrices for ${skin.joints.length} joints`);
+      }
+    }
+  }
+}
+
+function checkAnimations(json, report) {
+  for (const [animationIndex, animation] of (json.animations || []).entries()) {
+    const pointer = `/animations/${animationIndex}`;
+    for (const [samplerIndex, sampler] of (animation.samplers || []).entries()) {
+      const samplerPointer = `${pointer}/samplers/${samplerIndex}`;
+      if (checkIndex(report, json, `${samplerPointer}/input`, 'accessors', sampler.input)) {
+        const input = json.accessors[sampler.input];
+        if (input.type !== 'SCALAR' || input.componentType !== 5126) report.error(`${samplerPointer}/input`, 'must be a float SCALAR accessor');
+        if (!input.min || !input.max) report.error(`${samplerPointer}/input`, 'accessor must define min and max');
+      }
+      checkIndex(report, json, `${samplerPointer}/output`, 'accessors', sampler.output);
+    }
+    for (const [channelIndex, channel] of (animation.channels || []).entries()) {
+      const channelPointer = `${pointer}/channels/${channelIndex}`;
+      if (!(channel.sampler >= 0 && channel.sampler < (animation.samplers || []).length)) {
+        report.error(channelPointer, `refers to missing sampler ${channel.sampler}`);
+      }
+      checkIndex(report, json, `${channelPointer}/target`, 'nodes', channel.target?.node);
+    }
+  }
+}
+
+/*
+ * @param {Blob|ArrayBuffer} data - GLB or .gltf JSON to validate
+ * @param {Object<string, Uint8Array>} [files] - Contents of the external files it references,
+ *   keyed by their decoded relative URI
+ * @returns {Promise<{errors: string[], warnings: string[]}>} - Issues, each prefixed with the
+ *   JSON pointer (or "GLB") of the offending part
+ */
+export async function validateGltf(data, files = {}) {
+  const arrayBuffer = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+  const report = new Report();
+
+  let parsed = null;
+  if (arrayBuffer.byteLength >= 12 && new DataView(arrayBuffer).getUint32(0, true) === GLB_MAGIC) {
+    parsed = readContainer(arrayBuffer, report);
+  } else {
+    try {
+      parsed = { json: JSON.parse(new TextDecoder().decode(arrayBuffer)), bin: null };
+    } catch (error) {
+      report.error('/', `not a GLB and not valid glTF JSON (${error.message})`);
+    }
+  }
+  if (!parsed) return { errors: report.errors, warnings: report.warnings };
+
+  const { json, bin } = parsed;
+  if (json.asset?.version !== '2.0') report.error('/asset/version', `expected "2.0", found ${JSON.stringify(json.asset?.version)}`);
+  if (bin && json.buffers?.[0]?.uri !== undefined) report.error('/buffers/0', 'the BIN chunk requires buffer 0 to have no uri');
+
+  checkExtensions(json, report);
+  const views = await resolveBufferViews(json, bin, files, report);
+  const accessorValues = checkAccessors(json, views, report);
+  const texCoordsByMaterial = checkMeshes(json, accessorValues, report);
+  checkMaterials(json, texCoordsByMaterial, report);
+  checkImages(json, views, files, report);
+  checkNodes(json, report);
+  checkAnimations(json, report);
+
+  return { errors: report.errors, warnings: report.warnings };
+}
@@ -0,0 +1,28 @@
+// Reading and writing RGBA pixels of texture images through a 2D canvas.
+
+/*
+ * @param {CanvasImageSource} image - Image, bitmap or canvas with width and height
+ * @returns {Uint8ClampedArray} - RGBA, row by row from the top
+ */
+export function readPixels(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height).data;
+}
+
+/*
+ * @param {Uint8ClampedArray} pixels - RGBA, row by row from the top
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {HTMLCanvasElement} - Canvas holding the pixels, usable as a texture image
+ */
+export function writePixels(pixels, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  return canvas;
+}
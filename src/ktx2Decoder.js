@@ -0,0 +1,35 @@
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+
+// KTX2 (KHR_texture_basisu) decoding for loaded models. The Basis transcoder files
+// are served by the app itself (the basis-transcoder-assets plugin in vite.config.js
+// puts them under /basis/); set VITE_BASIS_TRANSCODER_PATH to load them from
+// somewhere else.
+
+export const BASIS_TRANSCODER_PATH =
+  import.meta.env.VITE_BASIS_TRANSCODER_PATH || `${import.meta.env.BASE_URL}basis/`;
+
+// One loader for the whole app, so its transcoder workers are created once
+let sharedKtx2Loader = null;
+let detectedSupport = false;
+
+/*
+ * The loader picks the GPU format textures are transcoded to from the renderer, so the
+ * viewer passes its renderer in first. Used without one, e.g. to check an output
+ * reloads, textures are transcoded to uncompressed RGBA, which decodes everywhere.
+ * @param {THREE.WebGLRenderer} [renderer] - Renderer the textures are for
+ * @returns {KTX2Loader} - Loader to pass to GLTFLoader.setKTX2Loader
+ */
+export function getKtx2Loader(renderer) {
+  if (!sharedKtx2Loader) {
+    sharedKtx2Loader = new KTX2Loader();
+    sharedKtx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+  }
+  if (renderer && !detectedSupport) {
+    sharedKtx2Loader.detectSupport(renderer);
+    detectedSupport = true;
+  } else if (!sharedKtx2Loader.workerConfig) {
+    // No compressed format is reported as supported
+    sharedKtx2Loader.detectSupport({ extensions: { has: () => false } });
+  }
+  return sharedKtx2Loader;
+}
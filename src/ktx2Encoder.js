@@ -0,0 +1,204 @@
+import { hashBytes, pruneGlb, readGlb, writeGlb } from './glbContainer.js';
+
+// KTX2 texture encoding (KHR_texture_basisu) for exported GLBs, with the Basis
+// Universal encoder bundled in the ktx2-encoder package. Textures stay compressed
+// on the GPU, unlike PNG/JPEG which are decoded to RGBA8. Settings depend on how a
+// texture is used: ETC1S for color, which is small but blocky, and UASTC with
+// Zstandard supercompression for normal maps and data textures (metallic-roughness,
+// occlusion), where ETC1S artifacts show up in lighting.
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Khronos/KHR_texture_basisu
+
+const EXTENSION = 'KHR_texture_basisu';
+
+export const KTX2_SLOT_SETTINGS = {
+  color: {
+    label: 'ETC1S, sRGB',
+    options: {
+      isUASTC: false,
+      qualityLevel: 128,
+      compressionLevel: 2,
+      isPerceptual: true,
+      isSetKTX2SRGBTransferFunc: true,
+      generateMipmap: true,
+    },
+  },
+  data: {
+    label: 'UASTC + Zstandard, linear',
+    options: {
+      isUASTC: true,
+      uastcLDRQualityLevel: 2,
+      needSupercompression: true,
+      isPerceptual: false,
+      isSetKTX2SRGBTransferFunc: false,
+      generateMipmap: true,
+    },
+  },
+  normal: {
+    label: 'UASTC + Zstandard, normal map',
+    options: {
+      isUASTC: true,
+      isNormalMap: true,
+      uastcLDRQualityLevel: 2,
+      needSupercompression: true,
+      isPerceptual: false,
+      isSetKTX2SRGBTransferFunc: false,
+      generateMipmap: true,
+    },
+  },
+};
+
+// Texture infos whose image holds color; any other texture info holds linear data
+const COLOR_TEXTURE_KEYS = new Set([
+  'baseColorTexture',
+  'emissiveTexture',
+  'diffuseTexture',
+  'specularGlossinessTexture',
+  'specularColorTexture',
+  'sheenColorTexture',
+]);
+const NORMAL_TEXTURE_KEYS = new Set(['normalTexture', 'clearcoatNormalTexture']);
+
+// An image used in several slots is encoded for the most demanding one
+const SLOT_PRIORITY = { color: 0, data: 1, normal: 2 };
+
+const ENCODABLE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+let encoderPromise = null;
+
+/*
+ * @returns {Promise<Function>} - encodeToKTX2(bytes, options) from ktx2-encoder
+ */
+export function loadKtx2Encoder() {
+  if (!encoderPromise) {
+    encoderPromise = import('ktx2-encoder')
+      .then((module) => module.encodeToKTX2)
+      .catch((error) => {
+        encoderPromise = null;
+        throw new Error(`KTX2 encoder failed to load: ${error.message}`);
+      });
+  }
+  return encoderPromise;
+}
+
+// Image index -> slot, from the material texture infos pointing at it
+function classifyImages(json) {
+  const slots = new Map();
+  const assign = (textureIndex, slot) => {
+    const texture = json.textures?.[textureIndex];
+    const image = texture?.source;
+    if (image === undefined) return;
+    if (!slots.has(image) || SLOT_PRIORITY[slot] > SLOT_PRIORITY[slots.get(image)]) slots.set(image, slot);
+  };
+  const walk = (value) => {
+    if (!value || typeof value !== 'object') return;
+    for (const [key, child] of Object.entries(value)) {
+      if (key.endsWith('Texture') && child && typeof child.index === 'number') {
+        assign(child.index, NORMAL_TEXTURE_KEYS.has(key) ? 'normal' : COLOR_TEXTURE_KEYS.has(key) ? 'color' : 'data');
+      }
+      walk(child);
+    }
+  };
+  (json.materials || []).forEach(walk);
+  return slots;
+}
+
+// Size and level count from the KTX2 header, and whether ETC1S data carries an alpha slice
+function readKtx2Header(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const supercompression = view.getUint32(44, true);
+  const dfdOffset = view.getUint32(48, true);
+  // Basic descriptor block: 24 bytes, then 16 per sample
+  const samples = (view.getUint16(dfdOffset + 4 + 6, true) - 24) / 16;
+  return {
+    width: view.getUint32(20, true),
+    height: view.getUint32(24, true),
+    levels: Math.max(1, view.getUint32(40, true)),
+    etc1s: supercompression === 1, // BasisLZ
+    hasAlpha: samples > 1,
+  };
+}
+
+// GPU memory once transcoded: UASTC goes to BC7/ASTC 4x4 (8 bits per texel), ETC1S to
+// BC1/ETC1 (4 bits) or, with alpha, BC3/ETC2 (8 bits)
+function estimateVram({ width, height, levels, etc1s, hasAlpha }) {
+  const bytesPerTexel = etc1s && !hasAlpha ? 0.5 : 1;
+  return width * height * bytesPerTexel * (levels > 1 ? 4 / 3 : 1);
+}
+
+/*
+ * Encodes the embedded PNG/JPEG/WebP images of a GLB to KTX2 and points their textures
+ * at them through KHR_texture_basisu. The extension is required, as no fallback image is kept.
+ * @param {ArrayBuffer} glb - GLB with images in buffer views
+ * @param {Function} encode - encodeToKTX2 from loadKtx2Encoder
+ * @param {Object} [options] - cache: Map reused across calls so identical images are encoded once
+ * @returns {Promise<{glb: ArrayBuffer, stats: Object}>} - stats: images encoded per slot,
+ *   skipped images with the reason, byte sizes, and estimated GPU memory before and after
+ */
+export async function compressGlbTexturesToKtx2(glb, encode, options = {}) {
+  const { json, bin } = readGlb(glb);
+  const cache = options.cache || new Map();
+  const stats = { encoded: { color: 0, data: 0, normal: 0 }, skipped: [], bytesBefore: 0, bytesAfter: 0, vramBefore: 0, vramAfter: 0 };
+  if (!bin || !json.images) return { glb, stats };
+
+  const slots = classifyImages(json);
+  const chunks = [];
+  let length = bin.byteLength;
+
+  for (const [index, image] of json.images.entries()) {
+    const name = image.name || `image ${index}`;
+    const slot = slots.get(index);
+    if (!slot) continue;
+    if (image.bufferView === undefined || !ENCODABLE_MIME_TYPES.includes(image.mimeType)) {
+      stats.skipped.push(`${name}: ${image.mimeType || 'external image'} is not encoded`);
+      continue;
+    }
+
+    const view = json.bufferViews[image.bufferView];
+    const bytes = bin.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+    const key = `${slot}:${hashBytes(bytes)}`;
+    let encoded = cache.get(key);
+    try {
+      if (!encoded) {
+        encoded = await encode(bytes, KTX2_SLOT_SETTINGS[slot].options);
+        cache.set(key, encoded);
+      }
+    } catch (error) {
+      stats.skipped.push(`${name}: ${error.message}`);
+      continue;
+    }
+
+    const header = readKtx2Header(encoded);
+    // The source decodes to RGBA8, with a mip chain
+    stats.vramBefore += header.width * header.height * 4 * (4 / 3);
+    stats.vramAfter += estimateVram(header);
+    stats.bytesBefore += bytes.byteLength;
+    stats.bytesAfter += encoded.byteLength;
+    stats.encoded[slot]++;
+
+    length = (length + 3) & ~3;
+    chunks.push({ offset: length, bytes: encoded });
+    json.bufferViews.push({ buffer: 0, byteOffset: length, byteLength: encoded.byteLength });
+    length += encoded.byteLength;
+    image.bufferView = json.bufferViews.length - 1;
+    image.mimeType = 'image/ktx2';
+  }
+
+  const encodedCount = Object.values(stats.encoded).reduce((total, count) => total + count, 0);
+  if (encodedCount === 0) return { glb, stats };
+
+  for (const texture of json.textures || []) {
+    if (texture.source === undefined || json.images[texture.source].mimeType !== 'image/ktx2') continue;
+    texture.extensions = { ...texture.extensions, [EXTENSION]: { source: texture.source } };
+    delete texture.source;
+  }
+  json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), EXTENSION])];
+  json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), EXTENSION])];
+
+  const merged = new Uint8Array(length);
+  merged.set(bin);
+  chunks.forEach(({ offset, bytes }) => merged.set(bytes, offset));
+  json.buffers[0].byteLength = length;
+  // The source images' buffer views are no longer referenced
+  const output = pruneGlb(json, merged);
+  return { glb: writeGlb(json, output), stats };
+}
@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+
+// MSFT_lod support for GLTFExporter and GLTFLoader.
+//
+// A node carrying MSFT_lod lists alternate nodes (coarser levels) in `ids`; the
+// mesh of the highest-detail node holds `extras.MSFT_screencoverage`, one value
+// per level. Level k is shown while the object's projected height covers at
+// least screenCoverage[k] of the viewport; below the last value it is culled.
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Vendor/MSFT_lod
+
+export const MSFT_LOD = 'MSFT_lod';
+
+// Default coverage hints: each level is shown while the object covers at least half
+// the fraction of triangles that level keeps, and the last level is never culled.
+export function defaultScreenCoverage(lodLevels) {
+  return lodLevels.map((ratio, i) => (i + 1 < lodLevels.length ? Math.min(1, ratio * 0.5) : 0));
+}
+
+// Camera distance at which an object of the given bounding radius covers `coverage` of the view height
+export function coverageToDistance(coverage, radius, fov = 60) {
+  if (!(coverage > 0)) return Infinity;
+  return radius / (coverage * Math.tan(THREE.MathUtils.degToRad(fov) / 2));
+}
+
+// Sets THREE.LOD switch distances from the stored screen coverage hints
+export function applyScreenCoverage(lod, fov = 60) {
+  const coverage = lod.userData.screenCoverage;
+  if (!coverage || lod.levels.length === 0) return;
+
+  const sphere = new THREE.Box3().setFromObject(lod.levels[0].object).getBoundingSphere(new THREE.Sphere());
+  lod.levels.forEach((level, i) => {
+    level.distance = i === 0 ? 0 : coverageToDistance(coverage[i - 1], sphere.radius, fov);
+  });
+}
+
+/*
+ * Exporter plugin. `lodChains` maps each level-0 mesh to
+ * { levels: THREE.Mesh[], screenCoverage: number[] }; the level meshes must be
+ * children of that mesh so the exporter writes them, and are then detached from
+ * the node hierarchy and referenced through MSFT_lod instead.
+ */
+export class GLTFLodExporterPlugin {
+  constructor(writer, lodChains) {
+    this.writer = writer;
+    this.name = MSFT_LOD;
+    this.lodChains = lodChains;
+  }
+
+  writeNode(object, nodeDef) {
+    const chain = this.lodChains.get(object);
+    if (!chain) return;
+
+    const { json, nodeMap, extensionsUsed } = this.writer;
+    const ids = chain.levels.map((level) => nodeMap.get(level)).filter((id) => id !== undefined);
+    if (ids.length === 0) return;
+
+    if (nodeDef.children) {
+      nodeDef.children = nodeDef.children.filter((child) => !ids.includes(child));
+      if (nodeDef.children.length === 0) delete nodeDef.children;
+    }
+
+    nodeDef.extensions = nodeDef.extensions || {};
+    nodeDef.extensions[MSFT_LOD] = { ids };
+
+    if (nodeDef.mesh !== undefined) {
+      const meshDef = json.meshes[nodeDef.mesh];
+      meshDef.extras = { ...meshDef.extras, MSFT_screencoverage: chain.screenCoverage.slice(0, ids.length + 1) };
+    }
+
+    extensionsUsed[MSFT_LOD] = true;
+  }
+}
+
+/*
+ * Loader plugin: replaces the mesh of a node carrying MSFT_lod with a THREE.LOD
+ * holding every level. The coverage hints are kept in lod.userData.screenCoverage.
+ */
+export class GLTFLodLoaderPlugin {
+  constructor(parser) {
+    this.parser = parser;
+    this.name = MSFT_LOD;
+  }
+
+  createNodeMesh(nodeIndex) {
+    const parser = this.parser;
+    const nodeDef = parser.json.nodes[nodeIndex];
+    const extension = nodeDef.extensions && nodeDef.extensions[MSFT_LOD];
+    if (!extension || nodeDef.mesh === undefined) return null;
+
+    const levelNodes = [nodeIndex, ...extension.ids];
+    const coverage = parser.json.meshes[nodeDef.mesh].extras?.MSFT_screencoverage;
+
+    return Promise.all(levelNodes.map((index) => parser.createNodeMesh(index))).then((meshes) => {
+      const lod = new THREE.LOD();
+      meshes.forEach((mesh, i) => {
+        lod.addLevel(mesh, i);
+      });
+      // An empty last level stands in for culling below the final coverage value
+      if (coverage && coverage[meshes.length - 1] > 0) {
+        lod.addLevel(new THREE.Object3D(), meshes.length);
+      }
+      lod.userData.screenCoverage = coverage;
+      applyScreenCoverage(lod);
+      return lod;
+    });
+  }
+}
@@ -0,0 +1,152 @@
+import * as THREE from 'three';
+
+// What happens to materials before export. glTF only has metallic-roughness PBR
+// (MeshStandardMaterial, MeshPhysicalMaterial with its KHR_materials_* extensions)
+// and KHR_materials_unlit (MeshBasicMaterial); GLTFExporter writes those as they are
+// and approximates anything else. 'preserve' leaves every material alone;
+// 'convert-legacy' turns Phong, Lambert and Toon materials into MeshStandardMaterial
+// with an explicit parameter mapping instead of leaving it to the exporter.
+
+export const MATERIAL_POLICIES = {
+  preserve: 'Keep materials as authored',
+  'convert-legacy': 'Convert Phong/Lambert/Toon to PBR',
+};
+
+// Properties carried over unchanged when a legacy material is converted
+const SHARED_PROPERTIES = [
+  'name',
+  'color',
+  'map',
+  'lightMap',
+  'lightMapIntensity',
+  'aoMap',
+  'aoMapIntensity',
+  'emissive',
+  'emissiveMap',
+  'emissiveIntensity',
+  'bumpMap',
+  'bumpScale',
+  'normalMap',
+  'normalMapType',
+  'normalScale',
+  'alphaMap',
+  'opacity',
+  'transparent',
+  'alphaTest',
+  'side',
+  'vertexColors',
+  'flatShading',
+  'wireframe',
+  'fog',
+];
+
+// Set on legacy materials but with no glTF equivalent
+const DROPPED_PROPERTIES = ['specularMap', 'envMap', 'displacementMap', 'gradientMap'];
+
+function isLegacyMaterial(material) {
+  return material.isMeshPhongMaterial || material.isMeshLambertMaterial || material.isMeshToonMaterial;
+}
+
+function describeMaterial(material) {
+  return `${material.type}${material.name ? ` "${material.name}"` : ''}`;
+}
+
+// Blinn-Phong exponent to GGX roughness, the usual sqrt(2 / (n + 2)) approximation
+function shininessToRoughness(shininess) {
+  return Math.min(1, Math.max(0.04, Math.sqrt(2 / (Math.max(0, shininess) + 2))));
+}
+
+function convertToStandard(material) {
+  const standard = new THREE.MeshStandardMaterial();
+  for (const property of SHARED_PROPERTIES) {
+    const value = material[property];
+    if (value === undefined) continue;
+    standard[property] = value && typeof value.clone === 'function' && !value.isTexture ? value.clone() : value;
+  }
+  standard.metalness = 0;
+  standard.roughness = material.isMeshPhongMaterial ? shininessToRoughness(material.shininess) : 1;
+  standard.userData = { ...material.userData };
+
+  const before = material.isMeshPhongMaterial
+    ? `shininess ${material.shininess}, specular #${material.specular.getHexString()}`
+    : 'diffuse only';
+  const dropped = DROPPED_PROPERTIES.filter((property) => material[property]);
+  const change =
+    `${describeMaterial(material)} → MeshStandardMaterial (${before} → roughness ${standard.roughness.toFixed(2)}, metalness 0)` +
+    (dropped.length > 0 ? `; dropped ${dropped.join(', ')} (no glTF equivalent)` : '');
+  return { material: standard, change };
+}
+
+// KHR_materials_* extensions a material will be exported with, without the prefix
+function describeExtensions(material) {
+  if (material.isMeshBasicMaterial) return ['unlit'];
+  if (!material.isMeshStandardMaterial) return [];
+  const extensions = [];
+  if (material.emissiveIntensity !== 1) extensions.push('emissive_strength');
+  if (!material.isMeshPhysicalMaterial) return extensions;
+  if (material.clearcoat > 0) extensions.push('clearcoat');
+  if (material.transmission > 0) extensions.push('transmission');
+  if (material.thickness > 0) extensions.push('volume');
+  if (material.sheen > 0) extensions.push('sheen');
+  if (material.iridescence > 0) extensions.push('iridescence');
+  if (material.anisotropy > 0) extensions.push('anisotropy');
+  if (material.dispersion > 0) extensions.push('dispersion');
+  if (material.ior !== 1.5) extensions.push('ior');
+  if (material.specularIntensity !== 1 || material.specularColor.getHex() !== 0xffffff) extensions.push('specular');
+  return extensions;
+}
+
+/*
+ * Applies a material policy to every mesh in `scene`. Shared materials are converted once
+ * and stay shared.
+ * @param {THREE.Object3D} scene - Scene about to be exported
+ * @param {string} policy - Key of MATERIAL_POLICIES
+ * @returns {{changes: string[], converted: number}} - One line per converted material, plus a
+ *   summary of what was kept
+ */
+export function applyMaterialPolicy(scene, policy = 'preserve') {
+  const replacements = new Map();
+  const changes = [];
+
+  scene.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    for (const material of materials) {
+      if (replacements.has(material)) continue;
+      if (policy === 'convert-legacy' && isLegacyMaterial(material)) {
+        const converted = convertToStandard(material);
+        replacements.set(material, converted.material);
+        changes.push(converted.change);
+      } else {
+        replacements.set(material, material);
+      }
+    }
+    obj.material = Array.isArray(obj.material)
+      ? obj.material.map((material) => replacements.get(material))
+      : replacements.get(obj.material);
+  });
+
+  let converted = 0;
+  const kept = [];
+  const approximated = [];
+  const extensionCounts = {};
+  for (const [original, material] of replacements) {
+    // The replaced material stays untouched; the loaded source scene still uses it
+    if (original !== material) {
+      converted++;
+      continue;
+    }
+    kept.push(material);
+    if (!material.isMeshStandardMaterial && !material.isMeshBasicMaterial) approximated.push(describeMaterial(material));
+    describeExtensions(material).forEach((name) => (extensionCounts[name] = (extensionCounts[name] || 0) + 1));
+  }
+
+  if (kept.length > 0) {
+    const extensions = Object.entries(extensionCounts).map(([name, count]) => `${name}: ${count}`);
+    changes.push(`Kept ${kept.length} materials as authored${extensions.length > 0 ? ` (${extensions.join(', ')})` : ''}`);
+  }
+  if (approximated.length > 0) {
+    changes.push(`Not glTF materials, GLTFExporter will approximate them: ${approximated.join(', ')}`);
+  }
+  return { changes, converted };
+}
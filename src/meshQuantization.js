@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+
+// KHR_mesh_quantization: stores vertex attributes as 8/16-bit integers instead of floats.
+//
+// Positions become integer grid coordinates inside the geometry's bounding box;
+// the dequantization (grid spacing and box centre) is folded into the mesh's
+// node transform, so decoding costs nothing at runtime. The scale is uniform so
+// normals need no correction. Normals and tangents become normalized signed
+// integers and UVs normalized unsigned integers when they lie in [0, 1].
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Khronos/KHR_mesh_quantization
+
+export const KHR_MESH_QUANTIZATION = 'KHR_mesh_quantization';
+
+export const DEFAULT_QUANTIZATION_BITS = {
+  position: 14,
+  normal: 8,
+  uv: 12,
+};
+
+const UV_ATTRIBUTES = ['uv', 'uv1', 'uv2', 'uv3'];
+
+// Geometries shared by several meshes are quantized once; every mesh using one still
+// needs its transform folded into its own node
+const quantizedGeometries = new WeakMap();
+
+function clampBits(bits, fallback) {
+  return Math.min(16, Math.max(2, Math.round(bits || fallback)));
+}
+
+// Rounds to `levels` steps and stores the result in the range of a normalized array type
+function quantizeNormalized(attribute, bits, signed, components = attribute.itemSize) {
+  const ArrayType = bits <= 8 ? (signed ? Int8Array : Uint8Array) : signed ? Int16Array : Uint16Array;
+  const storageMax = bits <= 8 ? (signed ? 127 : 255) : signed ? 32767 : 65535;
+  const levels = signed ? Math.pow(2, bits - 1) - 1 : Math.pow(2, bits) - 1;
+  const array = new ArrayType(attribute.count * attribute.itemSize);
+
+  for (let v = 0; v < attribute.count; v++) {
+    for (let c = 0; c < attribute.itemSize; c++) {
+      const value = attribute.getComponent(v, c);
+      // Tangent w only carries the bitangent sign
+      const stepped = c < components ? Math.round(value * levels) / levels : Math.sign(value) || 1;
+      array[v * attribute.itemSize + c] = Math.round(stepped * storageMax);
+    }
+  }
+  const quantized = new THREE.BufferAttribute(array, attribute.itemSize, true);
+  quantized.name = attribute.name;
+  return quantized;
+}
+
+function isInUnitRange(attribute) {
+  for (let v = 0; v < attribute.count; v++) {
+    for (let c = 0; c < attribute.itemSize; c++) {
+      const value = attribute.getComponent(v, c);
+      if (value < 0 || value > 1) return false;
+    }
+  }
+  return true;
+}
+
+function isQuantized(attribute) {
+  return !(attribute.array instanceof Float32Array || attribute.array instanceof Float64Array);
+}
+
+// Dequantization transform that maps the integer grid onto `box`
+function getDequantization(box, positionBits) {
+  const halfSize = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+  const gridMax = Math.pow(2, positionBits - 1) - 1;
+  return {
+    center: box.getCenter(new THREE.Vector3()),
+    scale: Math.max(halfSize.x, halfSize.y, halfSize.z) / gridMax || 1,
+  };
+}
+
+// Quantizes the attributes of one geometry in place. Positions are only quantized when a
+// dequantization transform is given; returns the largest position error it introduced.
+function quantizeGeometry(geometry, bits, dequantization) {
+  const report = { maxPositionError: 0, skipped: [] };
+  const position = geometry.attributes.position;
+
+  if (dequantization && position && !isQuantized(position)) {
+    const { center, scale } = dequantization;
+
+    const array = new (bits.position <= 8 ? Int8Array : Int16Array)(position.count * 3);
+    const original = new THREE.Vector3();
+    const decoded = new THREE.Vector3();
+    for (let v = 0; v < position.count; v++) {
+      original.fromBufferAttribute(position, v);
+      decoded.subVectors(original, center).divideScalar(scale).round();
+      decoded.toArray(array, v * 3);
+      decoded.multiplyScalar(scale).add(center);
+      report.maxPositionError = Math.max(report.maxPositionError, decoded.distanceTo(original));
+    }
+    geometry.setAttribute('position', new THREE.BufferAttribute(array, 3, false));
+
+    // Morph targets stay float but must live in the same quantized space as the base positions
+    const morphPositions = geometry.morphAttributes.position || [];
+    geometry.morphAttributes.position = morphPositions.map((target) => {
+      const values = new Float32Array(target.count * 3);
+      for (let v = 0; v < target.count; v++) {
+        original.fromBufferAttribute(target, v);
+        if (!geometry.morphTargetsRelative) original.sub(center);
+        original.divideScalar(scale).toArray(values, v * 3);
+      }
+      const scaled = new THREE.BufferAttribute(values, 3);
+      scaled.name = target.name;
+      return scaled;
+    });
+  }
+
+  const normal = geometry.attributes.normal;
+  if (normal && !isQuantized(normal)) {
+    geometry.setAttribute('normal', quantizeNormalized(normal, bits.normal, true));
+  }
+  const tangent = geometry.attributes.tangent;
+  if (tangent && !isQuantized(tangent)) {
+    geometry.setAttribute('tangent', quantizeNormalized(tangent, bits.normal, true, 3));
+  }
+
+  for (const name of UV_ATTRIBUTES) {
+    const uv = geometry.attributes[name];
+    if (!uv || isQuantized(uv)) continue;
+    // Wrapping UVs would need KHR_texture_transform on every material using them
+    if (!isInUnitRange(uv)) {
+      report.skipped.push(`${name} outside [0, 1]`);
+      continue;
+    }
+    geometry.setAttribute(name, quantizeNormalized(uv, bits.uv, false));
+  }
+
+  geometry.boundingBox = null;
+  geometry.boundingSphere = null;
+  return report;
+}
+
+// mesh.matrix = mesh.matrix * T(center) * S(scale)
+function foldDequantization(object, center, scale) {
+  object.position.add(center.clone().multiply(object.scale).applyQuaternion(object.quaternion));
+  object.scale.multiplyScalar(scale);
+}
+
+// child.matrix = (T(center) * S(scale))^-1 * child.matrix, so children keep their world transform
+function unfoldFromChild(child, center, scale) {
+  child.position.sub(center).divideScalar(scale);
+  child.scale.divideScalar(scale);
+}
+
+const TRANSFORM_PROPERTIES = ['position', 'quaternion', 'scale'];
+
+/*
+ * Nodes whose transform is animated. Playback overwrites a folded dequantization, and the
+ * transforms of children that were adjusted for it.
+ * @param {THREE.Object3D} root - Scene the clips play on
+ * @param {THREE.AnimationClip[]} animations - Clips exported with it
+ * @returns {Set<THREE.Object3D>} - Nodes targeted by position, rotation or scale tracks
+ */
+export function findAnimatedNodes(root, animations = []) {
+  const nodes = new Set();
+  for (const clip of animations) {
+    for (const track of clip.tracks) {
+      const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+      if (!TRANSFORM_PROPERTIES.includes(propertyName)) continue;
+      const node = THREE.PropertyBinding.findNode(root, nodeName);
+      if (node) nodes.add(node);
+    }
+  }
+  return nodes;
+}
+
+// The dequantization goes into the mesh's transform and is taken out of its children's
+function hasAnimatedTransform(mesh, animatedNodes) {
+  return animatedNodes.has(mesh) || mesh.children.some((child) => animatedNodes.has(child));
+}
+
+/*
+ * Positions are quantized once per geometry, with the dequantization folded into the node
+ * transform, which skinned, instanced and animated meshes can't take. A geometry they share
+ * with other meshes has to keep float positions for all of them.
+ * @param {THREE.Mesh[]} meshes - Every mesh in the scene, before any is quantized
+ * @param {Set<THREE.Object3D>} [animatedNodes] - From findAnimatedNodes
+ * @returns {Set<THREE.BufferGeometry>} - Geometries used by a skinned, instanced or animated mesh
+ */
+export function findGeometriesKeepingPositions(meshes, animatedNodes = new Set()) {
+  return new Set(
+    meshes
+      .filter((mesh) => mesh.isSkinnedMesh || mesh.isInstancedMesh || hasAnimatedTransform(mesh, animatedNodes))
+      .map((mesh) => mesh.geometry)
+  );
+}
+
+/*
+ * Quantizes a mesh and its LOD alternates in place, sharing one dequantization
+ * transform so the MSFT_lod levels stay interchangeable.
+ * @param {THREE.Mesh} mesh - Mesh to quantize
+ * @param {Object} [options]
+ * @param {Object} [options.bits] - Bits per attribute kind: { position, normal, uv }
+ * @param {THREE.Mesh[]} [options.alternates] - LOD levels of this mesh (children that replace it)
+ * @param {Set<THREE.Object3D>} [options.animatedNodes] - From findAnimatedNodes
+ * @param {Set<THREE.BufferGeometry>} [options.keepPositions] - From findGeometriesKeepingPositions
+ * @returns {{maxPositionError: number, relativeError: number, skipped: string[]}} - Error in the
+ *   mesh's local units and as a fraction of its bounding-box diagonal
+ */
+export function quantizeMesh(mesh, options = {}) {
+  const bits = {
+    position: clampBits(options.bits?.position, DEFAULT_QUANTIZATION_BITS.position),
+    normal: clampBits(options.bits?.normal, DEFAULT_QUANTIZATION_BITS.normal),
+    uv: clampBits(options.bits?.uv, DEFAULT_QUANTIZATION_BITS.uv),
+  };
+  const alternates = options.alternates || [];
+  const skipped = [];
+
+  // glTF ignores the node transform of skinned meshes, and instance matrices apply before it
+  let quantizePositions = true;
+  if (mesh.isSkinnedMesh || mesh.isInstancedMesh) {
+    quantizePositions = false;
+    skipped.push(`positions of ${mesh.isSkinnedMesh ? 'skinned' : 'instanced'} mesh`);
+  } else if (options.animatedNodes && hasAnimatedTransform(mesh, options.animatedNodes)) {
+    quantizePositions = false;
+    skipped.push('positions of animated node');
+  } else if (options.keepPositions?.has(mesh.geometry)) {
+    quantizePositions = false;
+    skipped.push('positions shared with a skinned, instanced or animated mesh');
+  }
+
+  // One box around every level so a single transform decodes them all
+  const geometries = [mesh.geometry, ...alternates.map((level) => level.geometry)];
+  const previous = quantizedGeometries.get(mesh.geometry);
+  let dequantization = null;
+  let diagonal = 0;
+  if (previous) {
+    if (!quantizePositions) return { ...previous.result, skipped };
+    dequantization = previous.dequantization;
+  } else if (mesh.geometry.attributes.position && isQuantized(mesh.geometry.attributes.position)) {
+    quantizePositions = false;
+  } else if (quantizePositions) {
+    const box = new THREE.Box3();
+    geometries.forEach((geometry) => box.union(new THREE.Box3().setFromBufferAttribute(geometry.attributes.position)));
+    dequantization = getDequantization(box, bits.position);
+    diagonal = box.min.distanceTo(box.max);
+  }
+
+  let maxPositionError = 0;
+  for (const geometry of geometries) {
+    const report = quantizeGeometry(geometry, bits, dequantization);
+    report.skipped.forEach((reason) => {
+      if (!skipped.includes(reason)) skipped.push(reason);
+    });
+    maxPositionError = Math.max(maxPositionError, report.maxPositionError);
+  }
+
+  const result = previous
+    ? previous.result
+    : { maxPositionError, relativeError: diagonal > 0 ? maxPositionError / diagonal : 0, skipped };
+  quantizedGeometries.set(mesh.geometry, { dequantization, result });
+
+  if (dequantization) {
+    const { center, scale } = dequantization;
+    for (const child of mesh.children) {
+      if (!alternates.includes(child)) unfoldFromChild(child, center, scale);
+    }
+    foldDequantization(mesh, center, scale);
+    alternates.forEach((level) => foldDequantization(level, center, scale));
+  }
+
+  return result;
+}
+
+/*
+ * Exporter plugin. GLTFExporter already flags KHR_mesh_quantization when it meets
+ * integer attributes, but it rewrites normals whose decoded length is off by more
+ * than 0.0005 as float, which 8-bit normals always are. Quantized normals are
+ * passed through untouched instead.
+ */
+export class GLTFMeshQuantizationExporterPlugin {
+  constructor(writer) {
+    this.writer = writer;
+    this.name = KHR_MESH_QUANTIZATION;
+
+    const isNormalizedNormalAttribute = writer.isNormalizedNormalAttribute.bind(writer);
+    writer.isNormalizedNormalAttribute = (normal) => isQuantized(normal) || isNormalizedNormalAttribute(normal);
+  }
+}
@@ -0,0 +1,486 @@
+import { alignTo4, readGlb, writeGlb } from './glbContainer.js';
+
+// EXT_meshopt_compression encoder: a JS port of meshoptimizer's vertex codec
+// (version 0) and triangle index codec (version 1), decodable by three's MeshoptDecoder.
+//
+// Vertex data is stored as byte-wise deltas against the previous vertex, zigzag
+// encoded and bit-packed in groups of 16; it compresses best when attributes are
+// quantized. Triangles are encoded against an edge and a vertex FIFO, which works
+// best on cache-optimized index buffers.
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Vendor/EXT_meshopt_compression
+
+export const EXT_MESHOPT_COMPRESSION = 'EXT_meshopt_compression';
+
+const VERTEX_HEADER = 0xa0;
+const INDEX_HEADER = 0xe0;
+const INDEX_VERSION = 1;
+
+const BYTE_GROUP_SIZE = 16;
+const VERTEX_BLOCK_SIZE_BYTES = 8192;
+const VERTEX_BLOCK_MAX_SIZE = 256;
+const TAIL_MAX_SIZE = 32;
+
+// Frequent (feb << 4 | fec) pairs, taken from meshoptimizer; also written as the stream tail
+const CODE_AUX_TABLE = [0x00, 0x76, 0x87, 0x56, 0x67, 0x78, 0xa9, 0x86, 0x65, 0x89, 0x68, 0x98, 0x01, 0x69, 0x00, 0x00];
+const TRIANGLE_INDEX_ORDER = [
+  [0, 1, 2],
+  [1, 2, 0],
+  [2, 0, 1],
+];
+
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  reserve(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  push(value) {
+    this.reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  pushBytes(values) {
+    this.reserve(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  pushVByte(value) {
+    // 32-bit value in up to five 7-bit groups
+    do {
+      this.push((value & 127) | (value > 127 ? 128 : 0));
+      value >>>= 7;
+    } while (value);
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+function getVertexBlockSize(stride) {
+  const size = Math.floor(VERTEX_BLOCK_SIZE_BYTES / stride) & ~(BYTE_GROUP_SIZE - 1);
+  return Math.min(size, VERTEX_BLOCK_MAX_SIZE);
+}
+
+// Encoded size of 16 values at `bits` per value (0, 2, 4 or 8); values that don't fit follow as raw bytes
+function measureBytesGroup(values, offset, bits) {
+  if (bits === 0) {
+    for (let i = 0; i < BYTE_GROUP_SIZE; i++) {
+      if (values[offset + i] !== 0) return Infinity;
+    }
+    return 0;
+  }
+  if (bits === 8) return BYTE_GROUP_SIZE;
+
+  const sentinel = (1 << bits) - 1;
+  let size = (BYTE_GROUP_SIZE * bits) / 8;
+  for (let i = 0; i < BYTE_GROUP_SIZE; i++) {
+    if (values[offset + i] >= sentinel) size++;
+  }
+  return size;
+}
+
+function writeBytesGroup(writer, values, offset, bits) {
+  if (bits === 0) return;
+  if (bits === 8) {
+    writer.pushBytes(values.subarray(offset, offset + BYTE_GROUP_SIZE));
+    return;
+  }
+
+  const sentinel = (1 << bits) - 1;
+  const perByte = 8 / bits;
+  for (let i = 0; i < BYTE_GROUP_SIZE; i += perByte) {
+    let byte = 0;
+    for (let k = 0; k < perByte; k++) {
+      byte = (byte << bits) | Math.min(values[offset + i + k], sentinel);
+    }
+    writer.push(byte);
+  }
+  for (let i = 0; i < BYTE_GROUP_SIZE; i++) {
+    if (values[offset + i] >= sentinel) writer.push(values[offset + i]);
+  }
+}
+
+// One byte lane of a vertex block: 2-bit mode per group of 16 (packed four to a byte), then the groups
+function writeBytes(writer, values) {
+  const groupCount = values.length / BYTE_GROUP_SIZE;
+  const header = new Uint8Array((groupCount + 3) >> 2);
+  const body = new ByteWriter(values.length);
+
+  for (let group = 0; group < groupCount; group++) {
+    const offset = group * BYTE_GROUP_SIZE;
+    let bestMode = 3;
+    let bestSize = BYTE_GROUP_SIZE;
+    [0, 2, 4].forEach((bits, mode) => {
+      const size = measureBytesGroup(values, offset, bits);
+      if (size < bestSize) {
+        bestMode = mode;
+        bestSize = size;
+      }
+    });
+    header[group >> 2] |= bestMode << ((group & 3) * 2);
+    writeBytesGroup(body, values, offset, [0, 2, 4, 8][bestMode]);
+  }
+
+  writer.pushBytes(header);
+  writer.pushBytes(body.result());
+}
+
+/*
+ * Encodes interleaved vertex data (mode ATTRIBUTES).
+ * @param {Uint8Array} data - count * stride bytes
+ * @param {number} count - Number of vertices
+ * @param {number} stride - Bytes per vertex; a multiple of 4, at most 256
+ * @returns {Uint8Array}
+ */
+export function encodeVertexBuffer(data, count, stride) {
+  if (stride <= 0 || stride > 256 || stride % 4 !== 0) {
+    throw new Error(`Vertex stride ${stride} is not supported`);
+  }
+
+  const writer = new ByteWriter(count * stride + TAIL_MAX_SIZE + 1);
+  writer.push(VERTEX_HEADER);
+
+  // The first vertex is the delta base of the first block and is stored in the tail
+  const firstVertex = new Uint8Array(stride);
+  if (count > 0) firstVertex.set(data.subarray(0, stride));
+  const lastVertex = firstVertex.slice();
+
+  const blockSize = getVertexBlockSize(stride);
+  const deltas = new Uint8Array(blockSize);
+  for (let start = 0; start < count; start += blockSize) {
+    const blockCount = Math.min(blockSize, count - start);
+    const alignedCount = (blockCount + BYTE_GROUP_SIZE - 1) & ~(BYTE_GROUP_SIZE - 1);
+
+    for (let k = 0; k < stride; k++) {
+      let previous = lastVertex[k];
+      for (let i = 0; i < blockCount; i++) {
+        const value = data[(start + i) * stride + k];
+        const delta = (value - previous) & 0xff;
+        // zigzag: small negative deltas become small odd values
+        deltas[i] = delta & 0x80 ? ~(delta << 1) & 0xff : (delta << 1) & 0xff;
+        previous = value;
+      }
+      deltas.fill(0, blockCount, alignedCount);
+      writeBytes(writer, deltas.subarray(0, alignedCount));
+    }
+
+    lastVertex.set(data.subarray((start + blockCount - 1) * stride, (start + blockCount) * stride));
+  }
+
+  for (let i = stride; i < TAIL_MAX_SIZE; i++) writer.push(0);
+  writer.pushBytes(firstVertex);
+  return writer.result();
+}
+
+function findEdge(edgeFifo, offset, a, b, c) {
+  for (let i = 0; i < 16; i++) {
+    const index = (offset - 1 - i) & 15;
+    const e0 = edgeFifo[index * 2];
+    const e1 = edgeFifo[index * 2 + 1];
+    if (e0 === a && e1 === b) return (i << 2) | 0;
+    if (e0 === b && e1 === c) return (i << 2) | 1;
+    if (e0 === c && e1 === a) return (i << 2) | 2;
+  }
+  return -1;
+}
+
+function findVertex(vertexFifo, offset, v) {
+  for (let i = 0; i < 16; i++) {
+    if (vertexFifo[(offset - 1 - i) & 15] === v) return i;
+  }
+  return -1;
+}
+
+/*
+ * Encodes a triangle list (mode TRIANGLES). Triangles may come back rotated
+ * (b, c, a), which preserves winding.
+ * @param {ArrayLike<number>} indices - Index count must be a multiple of 3
+ * @returns {Uint8Array}
+ */
+export function encodeIndexBuffer(indices) {
+  if (indices.length % 3 !== 0) {
+    throw new Error('Index count must be a multiple of 3');
+  }
+
+  const triangleCount = indices.length / 3;
+  const codes = new Uint8Array(triangleCount);
+  const data = new ByteWriter(triangleCount * 2 + 16);
+
+  const edgeFifo = new Array(32).fill(-1);
+  const vertexFifo = new Array(16).fill(-1);
+  let edgeOffset = 0;
+  let vertexOffset = 0;
+  let next = 0;
+  let last = 0;
+
+  const pushEdge = (a, b) => {
+    edgeFifo[edgeOffset * 2] = a;
+    edgeFifo[edgeOffset * 2 + 1] = b;
+    edgeOffset = (edgeOffset + 1) & 15;
+  };
+  const pushVertex = (v) => {
+    vertexFifo[vertexOffset] = v;
+    vertexOffset = (vertexOffset + 1) & 15;
+  };
+  // Free indices are zigzag deltas from the previous free index
+  const writeIndex = (index) => {
+    const delta = (index - last) | 0;
+    data.pushVByte(((delta << 1) ^ (delta >> 31)) >>> 0);
+    last = index;
+  };
+
+  for (let t = 0; t < triangleCount; t++) {
+    const i = t * 3;
+    const edge = findEdge(edgeFifo, edgeOffset, indices[i], indices[i + 1], indices[i + 2]);
+
+    if (edge >= 0 && edge >> 2 < 15) {
+      // The triangle shares a recent edge; it is rotated so that edge comes first
+      const order = TRIANGLE_INDEX_ORDER[edge & 3];
+      const a = indices[i + order[0]];
+      const b = indices[i + order[1]];
+      const c = indices[i + order[2]];
+
+      const fe = edge >> 2;
+      const fc = findVertex(vertexFifo, vertexOffset, c);
+      let fec;
+      if (fc >= 1 && fc < 13) {
+        fec = fc;
+      } else if (c === next) {
+        fec = 0;
+        next++;
+      } else {
+        fec = 15;
+      }
+
+      // Strip-like sequences: the previous free index plus or minus one
+      if (fec === 15 && c + 1 === last) {
+        fec = 13;
+        last = c;
+      } else if (fec === 15 && c === last + 1) {
+        fec = 14;
+        last = c;
+      }
+
+      codes[t] = (fe << 4) | fec;
+      if (fec === 15) writeIndex(c);
+      if (fec === 0 || fec >= 13) pushVertex(c);
+
+      pushEdge(c, b);
+      pushEdge(a, c);
+    } else {
+      // Rotate so the next unseen vertex comes first, where it costs nothing
+      const rotation = indices[i + 1] === next ? 1 : indices[i + 2] === next ? 2 : 0;
+      const order = TRIANGLE_INDEX_ORDER[rotation];
+      const a = indices[i + order[0]];
+      const b = indices[i + order[1]];
+      const c = indices[i + order[2]];
+
+      // 0, 1, 2 after other triangles restarts the sequence (concatenated meshes)
+      let reset = false;
+      if (a === 0 && b === 1 && c === 2 && next > 0) {
+        reset = true;
+        next = 0;
+        vertexFifo.fill(-1);
+      }
+
+      const fb = findVertex(vertexFifo, vertexOffset, b);
+      const fc = findVertex(vertexFifo, vertexOffset, c);
+
+      let fea = 15;
+      if (a === next) {
+        fea = 0;
+        next++;
+      }
+      let feb = 15;
+      if (fb >= 0 && fb < 14) {
+        feb = fb + 1;
+      } else if (b === next) {
+        feb = 0;
+        next++;
+      }
+      let fec = 15;
+      if (fc >= 0 && fc < 14) {
+        fec = fc + 1;
+      } else if (c === next) {
+        fec = 0;
+        next++;
+      }
+
+      const codeAux = (feb << 4) | fec;
+      const codeAuxIndex = CODE_AUX_TABLE.indexOf(codeAux);
+      if (fea === 0 && codeAuxIndex >= 0 && codeAuxIndex < 14 && !reset) {
+        codes[t] = 0xf0 | codeAuxIndex;
+      } else {
+        codes[t] = 0xf0 | 14 | (fea === 15 ? 1 : 0);
+        data.push(codeAux);
+      }
+
+      if (fea === 15) writeIndex(a);
+      if (feb === 15) writeIndex(b);
+      if (fec === 15) writeIndex(c);
+
+      if (fea === 0 || fea === 15) pushVertex(a);
+      if (feb === 0 || feb === 15) pushVertex(b);
+      if (fec === 0 || fec === 15) pushVertex(c);
+
+      pushEdge(b, a);
+      pushEdge(c, b);
+      pushEdge(a, c);
+    }
+  }
+
+  // The table doubles as padding; the decoder reads up to 16 bytes past each triangle
+  data.pushBytes(CODE_AUX_TABLE);
+
+  const encoded = data.result();
+  const output = new Uint8Array(1 + triangleCount + encoded.length);
+  output[0] = INDEX_HEADER | INDEX_VERSION;
+  output.set(codes, 1);
+  output.set(encoded, 1 + triangleCount);
+  return output;
+}
+
+// Works out how each buffer view can be encoded: triangle indices, or fixed-stride
+// elements. Views used in any other way (images, sparse data, other index modes) stay raw.
+function classifyBufferViews(json) {
+  const accessors = json.accessors || [];
+  const usage = new Map();
+  const mark = (viewIndex, entry) => {
+    if (viewIndex === undefined) return;
+    const previous = usage.get(viewIndex);
+    if (previous === undefined) {
+      usage.set(viewIndex, entry);
+    } else if (!previous || previous.mode !== entry?.mode || previous.stride !== entry?.stride || previous.count !== entry?.count) {
+      usage.set(viewIndex, null);
+    }
+  };
+
+  const triangleAccessors = new Set();
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      if (primitive.indices === undefined) continue;
+      if ((primitive.mode ?? 4) === 4) {
+        triangleAccessors.add(primitive.indices);
+      } else {
+        mark(accessors[primitive.indices].bufferView, null);
+      }
+    }
+  }
+
+  accessors.forEach((accessor, index) => {
+    if (accessor.sparse) {
+      mark(accessor.sparse.indices.bufferView, null);
+      mark(accessor.sparse.values.bufferView, null);
+    }
+    if (accessor.bufferView === undefined) return;
+
+    const view = json.bufferViews[accessor.bufferView];
+    const elementSize = COMPONENT_SIZES[accessor.componentType] * TYPE_COMPONENTS[accessor.type];
+    if (triangleAccessors.has(index)) {
+      const valid = !(accessor.byteOffset > 0) && accessor.count % 3 === 0 && elementSize !== 1;
+      mark(accessor.bufferView, valid ? { mode: 'TRIANGLES', stride: elementSize, count: accessor.count } : null);
+    } else {
+      const stride = view.byteStride || elementSize;
+      const valid = stride % 4 === 0 && stride <= 256 && view.byteLength % stride === 0;
+      mark(accessor.bufferView, valid ? { mode: 'ATTRIBUTES', stride, count: view.byteLength / stride } : null);
+    }
+  });
+
+  return usage;
+}
+
+/*
+ * Rewrites a GLB so its vertex and index buffer views use EXT_meshopt_compression.
+ * Encoded views point at a fallback buffer with no data, so the extension becomes
+ * required; views that don't get smaller are kept as they were.
+ * @param {ArrayBuffer} glb - GLB written by GLTFExporter
+ * @returns {{glb: ArrayBuffer, stats: {bufferViews: number, rawBytes: number, encodedBytes: number}}}
+ */
+export function compressGlbWithMeshopt(glb) {
+  const { json, bin } = readGlb(glb);
+  const stats = { bufferViews: 0, rawBytes: 0, encodedBytes: 0 };
+  if (!bin || !json.bufferViews || (json.buffers || []).some((buffer, index) => index > 0 || buffer.uri !== undefined)) {
+    return { glb, stats };
+  }
+
+  const usage = classifyBufferViews(json);
+  const chunks = [];
+  let binLength = 0;
+  let fallbackLength = 0;
+  const fallbackIndex = json.buffers.length;
+  const append = (bytes) => {
+    const offset = binLength;
+    chunks.push({ offset, bytes });
+    binLength = alignTo4(binLength + bytes.byteLength);
+    return offset;
+  };
+
+  for (const [viewIndex, view] of json.bufferViews.entries()) {
+    const source = bin.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+    const encoding = usage.get(viewIndex);
+
+    let encoded = null;
+    if (encoding) {
+      const { mode, stride, count } = encoding;
+      const raw = source.slice(0, count * stride);
+      encoded =
+        mode === 'TRIANGLES'
+          ? encodeIndexBuffer(stride === 2 ? new Uint16Array(raw.buffer) : new Uint32Array(raw.buffer))
+          : encodeVertexBuffer(raw, count, stride);
+      if (encoded.byteLength >= view.byteLength) encoded = null;
+    }
+
+    if (!encoded) {
+      view.byteOffset = append(source);
+      continue;
+    }
+
+    const { mode, stride, count } = encoding;
+    view.extensions = {
+      ...view.extensions,
+      [EXT_MESHOPT_COMPRESSION]: {
+        buffer: 0,
+        byteOffset: append(encoded),
+        byteLength: encoded.byteLength,
+        byteStride: stride,
+        count,
+        mode,
+      },
+    };
+    // The decoded data lives in the fallback buffer, which the loader fills in
+    view.buffer = fallbackIndex;
+    view.byteOffset = fallbackLength;
+    view.byteLength = count * stride;
+    fallbackLength = alignTo4(fallbackLength + view.byteLength);
+
+    stats.bufferViews++;
+    stats.rawBytes += source.byteLength;
+    stats.encodedBytes += encoded.byteLength;
+  }
+
+  if (stats.bufferViews === 0) {
+    return { glb, stats };
+  }
+
+  const output = new Uint8Array(binLength);
+  chunks.forEach(({ offset, bytes }) => output.set(bytes, offset));
+
+  json.buffers[0].byteLength = binLength;
+  json.buffers.push({ byteLength: fallbackLength, extensions: { [EXT_MESHOPT_COMPRESSION]: { fallback: true } } });
+  json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), EXT_MESHOPT_COMPRESSION])];
+  json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), EXT_MESHOPT_COMPRESSION])];
+
+  return { glb: writeGlb(json, output), stats };
+}
@@ -0,0 +1,396 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { TGALoader } from 'three/examples/jsm/loaders/TGALoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { getDracoLoader, describeDracoError } from './dracoDecoder.js';
+import { getKtx2Loader } from './ktx2Decoder.js';
+import { applyMaterialPolicy } from './materialPolicy.js';
+import { readFbxGlobalSettings, getFbxConversion } from './fbxSettings.js';
+
+// Loads a model file, together with the files it references (.mtl, .bin, textures),
+// into a three.js scene for the viewer and the optimizer. The referenced files are
+// the ones uploaded alongside the model: everything is requested under
+// FILE_MAP_BASE, and a LoadingManager URL modifier swaps in blob URLs from the
+// file map, matching by relative path first and by file name second.
+
+const FILE_MAP_BASE = 'file-map:/';
+
+export const MODEL_EXTENSIONS = ['glb', 'gltf', 'obj', 'fbx'];
+
+// Animated properties GLTFExporter can write as animation channels
+const EXPORTABLE_TRACK_PROPERTIES = ['position', 'quaternion', 'scale', 'morphTargetInfluences'];
+
+// Faces meeting at a sharper angle keep separate normals when normals are generated
+const NORMAL_CREASE_ANGLE = 30;
+
+export function getFileExtension(name) {
+  return name.split('.').pop().toLowerCase();
+}
+
+// Paths of files read from dropped folders. webkitRelativePath is only set by folder
+// pickers and can't be assigned, so the path within the drop is kept here
+const droppedPaths = new WeakMap();
+
+function getRelativePath(file) {
+  return droppedPaths.get(file) || file.webkitRelativePath || file.name;
+}
+
+/*
+ * @param {File[]} files - Files uploaded or dropped together
+ * @returns {File|null} - The model among them; the least nested one when a folder holds several
+ */
+export function findModelFile(files) {
+  const depth = (file) => getRelativePath(file).split('/').length;
+  const models = files.filter((file) => MODEL_EXTENSIONS.includes(getFileExtension(file.name)));
+  return models.sort((a, b) => depth(a) - depth(b))[0] || null;
+}
+
+/*
+ * Files of a drop, with dropped folders read recursively and their layout kept, so
+ * references like "textures/wood.png" resolve.
+ * @param {DataTransfer} dataTransfer - From the drop event; must be called before the handler awaits
+ * @returns {Promise<File[]>}
+ */
+export async function getDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return Array.from(dataTransfer.files);
+
+  const files = [];
+  const visit = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      droppedPaths.set(file, entry.fullPath.replace(/^\//, ''));
+      files.push(file);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns the directory in batches, and an empty one at the end
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        for (const child of batch) await visit(child);
+      }
+    }
+  };
+  for (const entry of entries) await visit(entry);
+  return files;
+}
+
+// Lower-cased path with '.' and '..' resolved, so references match regardless of how they are written
+function normalizePath(path) {
+  const parts = [];
+  for (const part of path.replace(/\\/g, '/').split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return parts.join('/').toLowerCase();
+}
+
+function createFileResolver(files) {
+  const byPath = new Map();
+  const byName = new Map();
+  for (const file of files) {
+    const path = normalizePath(getRelativePath(file));
+    byPath.set(path, file);
+    const name = path.split('/').pop();
+    if (!byName.has(name)) byName.set(name, file);
+  }
+
+  const objectURLs = new Map();
+  const used = new Set();
+  const missing = new Set();
+
+  const findFile = (url) => {
+    let path = url.slice(FILE_MAP_BASE.length).split(/[?#]/)[0];
+    try {
+      path = decodeURIComponent(path);
+    } catch {
+      // Not percent-encoded after all
+    }
+    const file = byPath.get(normalizePath(path)) || byName.get(normalizePath(path).split('/').pop());
+    if (file) used.add(file);
+    else missing.add(path.replace(/\\/g, '/').split('/').pop());
+    return file || null;
+  };
+
+  let loading = false;
+  let waiters = [];
+  const manager = new THREE.LoadingManager();
+  manager.onStart = () => {
+    loading = true;
+  };
+  manager.onLoad = () => {
+    loading = false;
+    waiters.forEach((resolve) => resolve());
+    waiters = [];
+  };
+  manager.setURLModifier((url) => {
+    if (!url.startsWith(FILE_MAP_BASE)) return url;
+    const file = findFile(url);
+    if (!file) return url;
+    if (!objectURLs.has(file)) objectURLs.set(file, URL.createObjectURL(file));
+    return objectURLs.get(file);
+  });
+  manager.addHandler(/\.tga$/i, new TGALoader(manager));
+
+  return {
+    manager,
+    findFile,
+    used,
+    missing,
+    // Resolves once every request made through the manager has finished or failed
+    whenIdle: () => (loading ? new Promise((resolve) => waiters.push(resolve)) : Promise.resolve()),
+    dispose: () => objectURLs.forEach((objectURL) => URL.revokeObjectURL(objectURL)),
+  };
+}
+
+// Smooth normals for a non-indexed geometry: corners at the same position average the
+// normals of the faces around them, except across edges sharper than `creaseAngle`
+function generateNormals(geometry, creaseAngle) {
+  const position = geometry.attributes.position;
+  const faceCount = Math.floor(position.count / 3);
+  const faceNormals = new Float32Array(faceCount * 3);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const cornersByPosition = new Map();
+
+  for (let face = 0; face < faceCount; face++) {
+    a.fromBufferAttribute(position, face * 3);
+    b.fromBufferAttribute(position, face * 3 + 1);
+    c.fromBufferAttribute(position, face * 3 + 2);
+    // Not normalized: larger faces weigh more in the average
+    c.sub(b).cross(a.sub(b));
+    c.toArray(faceNormals, face * 3);
+    for (let corner = face * 3; corner < face * 3 + 3; corner++) {
+      const key = `${position.getX(corner)},${position.getY(corner)},${position.getZ(corner)}`;
+      if (!cornersByPosition.has(key)) cornersByPosition.set(key, []);
+      cornersByPosition.get(key).push(corner);
+    }
+  }
+
+  const unitNormals = faceNormals.map((value, i) => value / (Math.hypot(...faceNormals.subarray(i - (i % 3), i - (i % 3) + 3)) || 1));
+  const creaseDot = Math.cos(THREE.MathUtils.degToRad(creaseAngle));
+  const normals = new Float32Array(faceCount * 9);
+  const own = new THREE.Vector3();
+  const other = new THREE.Vector3();
+  const sum = new THREE.Vector3();
+  for (const corners of cornersByPosition.values()) {
+    for (const corner of corners) {
+      own.fromArray(unitNormals, Math.floor(corner / 3) * 3);
+      sum.set(0, 0, 0);
+      for (const neighbour of corners) {
+        other.fromArray(unitNormals, Math.floor(neighbour / 3) * 3);
+        if (neighbour !== corner && own.dot(other) < creaseDot) continue;
+        other.fromArray(faceNormals, Math.floor(neighbour / 3) * 3);
+        sum.add(other);
+      }
+      sum.normalize().toArray(normals, corner * 3);
+    }
+  }
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+}
+
+// Textures whose file was missing or failed to decode have no image and can't be exported
+function dropMissingTextures(root, report) {
+  const seen = new Set();
+  root.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    for (const material of Array.isArray(obj.material) ? obj.material : [obj.material]) {
+      if (seen.has(material)) continue;
+      seen.add(material);
+      for (const [key, value] of Object.entries(material)) {
+        if (value && value.isTexture && !value.image) {
+          material[key] = null;
+          material.needsUpdate = true;
+          report.push(`Dropped ${key} of material "${material.name}": texture could not be loaded`);
+        }
+      }
+    }
+  });
+}
+
+async function loadObj(file, url, resolver) {
+  const report = [];
+  const text = await file.text();
+  const basePath = THREE.LoaderUtils.extractUrlBase(url);
+  const objLoader = new OBJLoader(resolver.manager);
+
+  let materialsInfo = {};
+  const libraryTexts = [];
+  for (const [, library] of text.matchAll(/^\s*mtllib\s+(.+?)\s*$/gm)) {
+    const libraryFile = resolver.findFile(basePath + library);
+    if (libraryFile) {
+      libraryTexts.push(await libraryFile.text());
+      report.push(`Read materials from ${libraryFile.name}`);
+    }
+  }
+  if (libraryTexts.length > 0) {
+    const materials = new MTLLoader(resolver.manager).parse(libraryTexts.join('\n'), basePath);
+    materials.preload();
+    objLoader.setMaterials(materials);
+    materialsInfo = materials.materialsInfo;
+  }
+
+  const group = objLoader.parse(text);
+  await resolver.whenIdle();
+  dropMissingTextures(group, report);
+
+  // MTL materials are Phong; PBR roughness/metalness values from the MTL extension win over the approximation
+  const { changes } = applyMaterialPolicy(group, 'convert-legacy');
+  report.push(...changes);
+  const applied = new Set();
+  group.traverse((obj) => {
+    if (!obj.isMesh) return;
+    for (const material of Array.isArray(obj.material) ? obj.material : [obj.material]) {
+      const info = materialsInfo[material.name];
+      if (!info || (info.pr === undefined && info.pm === undefined) || applied.has(material)) continue;
+      if (info.pr !== undefined) material.roughness = parseFloat(info.pr);
+      if (info.pm !== undefined) material.metalness = parseFloat(info.pm);
+      applied.add(material);
+      report.push(`Material "${material.name}": roughness ${material.roughness}, metalness ${material.metalness} from the MTL Pr/Pm values`);
+    }
+  });
+
+  // Without vn lines OBJLoader falls back to flat face normals
+  const hasNormals = /^\s*vn\s/m.test(text);
+  let generated = 0;
+  group.traverse((obj) => {
+    if (obj.isMesh && (!hasNormals || !obj.geometry.attributes.normal)) {
+      generateNormals(obj.geometry, NORMAL_CREASE_ANGLE);
+      generated++;
+    }
+  });
+  if (generated > 0) {
+    report.push(`Generated normals for ${generated} meshes (creased at ${NORMAL_CREASE_ANGLE}°)`);
+  }
+
+  return { scene: group, animations: [], report };
+}
+
+// FBXLoader reports what it can't convert only through console.warn; repeats are counted
+function captureWarnings(callback) {
+  const counts = new Map();
+  const warn = console.warn;
+  console.warn = (...args) => {
+    warn(...args);
+    let message = String(args[0]);
+    let rest = args.slice(1);
+    message = message.replace(/%[sdfo]/g, () => (rest.length > 0 ? String(rest.shift()) : ''));
+    message = [message, ...rest.map(String)].join(' ').replace(/^(THREE\.)?FBXLoader:\s*/, '');
+    counts.set(message, (counts.get(message) || 0) + 1);
+  };
+  try {
+    const result = callback();
+    return { result, warnings: [...counts].map(([message, count]) => (count > 1 ? `${message} (×${count})` : message)) };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+async function loadFbx(file, url, resolver) {
+  const report = [];
+  const buffer = await file.arrayBuffer();
+  const loader = new FBXLoader(resolver.manager);
+  const { result: group, warnings } = captureWarnings(() => loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url)));
+  await resolver.whenIdle();
+  report.push(...warnings.map((warning) => `FBXLoader: ${warning}`));
+  dropMissingTextures(group, report);
+
+  const { matrix, changes } = getFbxConversion(readFbxGlobalSettings(buffer));
+  group.applyMatrix4(matrix);
+  report.push(...changes);
+
+  // glTF lights are directional, point and spot only (KHR_lights_punctual)
+  const unsupportedLights = [];
+  group.traverse((obj) => {
+    if (obj.isLight && !obj.isDirectionalLight && !obj.isPointLight && !obj.isSpotLight) unsupportedLights.push(obj);
+  });
+  unsupportedLights.forEach((light) => {
+    light.removeFromParent();
+    report.push(`Not converted: ${light.type}${light.name ? ` "${light.name}"` : ''} (no glTF equivalent)`);
+  });
+
+  const animations = group.animations.map((clip) => {
+    const dropped = [];
+    const tracks = clip.tracks.filter((track) => {
+      const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+      const exportable = EXPORTABLE_TRACK_PROPERTIES.includes(propertyName) && THREE.PropertyBinding.findNode(group, nodeName);
+      if (!exportable) dropped.push(track.name);
+      return exportable;
+    });
+    if (dropped.length > 0) report.push(`Not converted from animation "${clip.name}": ${dropped.join(', ')}`);
+    return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+  });
+
+  report.push(...applyMaterialPolicy(group, 'convert-legacy').changes);
+
+  let skinnedMeshes = 0;
+  group.traverse((obj) => {
+    if (obj.isSkinnedMesh) skinnedMeshes++;
+  });
+  if (skinnedMeshes > 0 || animations.length > 0) {
+    report.push(`Converted ${skinnedMeshes} skinned meshes and ${animations.length} animation clips`);
+  }
+
+  return { scene: group, animations, report };
+}
+
+async function loadGltf(url, resolver, options) {
+  const loader = new GLTFLoader(resolver.manager);
+  loader.setDRACOLoader(getDracoLoader());
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  loader.setKTX2Loader(getKtx2Loader());
+  (options.gltfPlugins || []).forEach((plugin) => loader.register(plugin));
+  try {
+    const gltf = await loader.loadAsync(url, options.onProgress);
+    return { scene: gltf.scene, animations: gltf.animations, report: [] };
+  } catch (error) {
+    throw describeDracoError(error);
+  }
+}
+
+/*
+ * @param {File} file - Model file (see MODEL_EXTENSIONS)
+ * @param {File[]} [resourceFiles] - Files uploaded with it that it may reference
+ * @param {Object} [options] - onProgress(ProgressEvent) for the model file, gltfPlugins to register
+ * @returns {Promise<Object>} - scene, animations, format ('gltf', 'obj' or 'fbx'), report lines about
+ *   the conversion, missing file names, and sourceSize: bytes of the model and every file it used
+ */
+export async function loadModel(file, resourceFiles = [], options = {}) {
+  const extension = getFileExtension(file.name);
+  if (!MODEL_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported model format: ${file.name}`);
+  }
+  const format = extension === 'glb' ? 'gltf' : extension;
+
+  const resolver = createFileResolver([file, ...resourceFiles]);
+  const url = FILE_MAP_BASE + getRelativePath(file);
+  try {
+    const loaders = {
+      gltf: () => loadGltf(url, resolver, options),
+      obj: () => loadObj(file, url, resolver),
+      fbx: () => loadFbx(file, url, resolver),
+    };
+    const loaded = await loaders[format]();
+    await resolver.whenIdle();
+
+    const missing = [...resolver.missing];
+    if (missing.length > 0) loaded.report.unshift(`Missing files: ${missing.join(', ')}`);
+    const sourceSize = [...new Set([file, ...resolver.used])].reduce((total, used) => total + used.size, 0);
+    return { ...loaded, format, missing, sourceSize };
+  } catch (error) {
+    // A missing .bin fails the whole load; name the files rather than the request that failed
+    if (resolver.missing.size > 0) {
+      throw new Error(`Missing files: ${[...resolver.missing].join(', ')}`, { cause: error });
+    }
+    throw error;
+  } finally {
+    resolver.dispose();
+  }
+}
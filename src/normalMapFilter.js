@@ -0,0 +1,138 @@
+import { readPixels, writePixels } from './imagePixels.js';
+
+// Resampling for normal maps. Filtering the encoded colors, as drawImage does,
+// averages vectors that no longer have unit length and flattens the detail. Here
+// texels are decoded to vectors, filtered, renormalized and encoded again. The
+// length of the filtered vector before renormalizing measures how much the
+// normals varied under the texel. Toksvig's method turns that into extra roughness,
+// so highlights don't alias more once the detail is gone.
+// https://developer.download.nvidia.com/whitepapers/2006/Mipmaps/mipmapping_normal_maps.pdf
+
+// Tent filter taps for each output texel along one axis: as wide as a source-to-output
+// step when reducing, bilinear when enlarging
+function filterTaps(sourceSize, size) {
+  const scale = sourceSize / size;
+  const radius = Math.max(1, scale);
+  const taps = [];
+  for (let i = 0; i < size; i++) {
+    const center = (i + 0.5) * scale;
+    const first = Math.max(0, Math.floor(center - radius));
+    const last = Math.min(sourceSize - 1, Math.ceil(center + radius));
+    const indices = [];
+    const weights = [];
+    let total = 0;
+    for (let j = first; j <= last; j++) {
+      const weight = Math.max(0, 1 - Math.abs(j + 0.5 - center) / radius);
+      if (weight === 0) continue;
+      indices.push(j);
+      weights.push(weight);
+      total += weight;
+    }
+    taps.push({ indices, weights: weights.map((weight) => weight / total) });
+  }
+  return taps;
+}
+
+/*
+ * @param {CanvasImageSource} image - Normal map, RGB encoding XYZ in [-1, 1]
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {{canvas: HTMLCanvasElement, lengths: Float32Array}} - The resampled normal map, and
+ *   for each of its texels the length of the filtered vector before renormalizing (1 where the
+ *   normals under it all agree)
+ */
+export function resampleNormalMap(image, width, height) {
+  const sourceWidth = image.width;
+  const sourceHeight = image.height;
+  const source = readPixels(image);
+
+  // Unit vectors and alpha; 8-bit encoding is not exactly unit length
+  const vectors = new Float32Array(sourceWidth * sourceHeight * 4);
+  for (let i = 0; i < vectors.length; i += 4) {
+    const x = (source[i] / 255) * 2 - 1;
+    const y = (source[i + 1] / 255) * 2 - 1;
+    const z = (source[i + 2] / 255) * 2 - 1;
+    const length = Math.hypot(x, y, z) || 1;
+    vectors[i] = x / length;
+    vectors[i + 1] = y / length;
+    vectors[i + 2] = z / length;
+    vectors[i + 3] = source[i + 3];
+  }
+
+  // Rows first, then columns
+  const columnTaps = filterTaps(sourceWidth, width);
+  const rows = new Float32Array(width * sourceHeight * 4);
+  for (let y = 0; y < sourceHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      const { indices, weights } = columnTaps[x];
+      const out = (y * width + x) * 4;
+      for (let k = 0; k < indices.length; k++) {
+        const src = (y * sourceWidth + indices[k]) * 4;
+        for (let c = 0; c < 4; c++) rows[out + c] += vectors[src + c] * weights[k];
+      }
+    }
+  }
+
+  const rowTaps = filterTaps(sourceHeight, height);
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const lengths = new Float32Array(width * height);
+  const sum = new Float32Array(4);
+  for (let y = 0; y < height; y++) {
+    const { indices, weights } = rowTaps[y];
+    for (let x = 0; x < width; x++) {
+      sum.fill(0);
+      for (let k = 0; k < indices.length; k++) {
+        const src = (indices[k] * width + x) * 4;
+        for (let c = 0; c < 4; c++) sum[c] += rows[src + c] * weights[k];
+      }
+      const length = Math.hypot(sum[0], sum[1], sum[2]);
+      const texel = y * width + x;
+      lengths[texel] = Math.min(1, length);
+      // Normals that cancel out entirely point straight out of the surface
+      const [nx, ny, nz] = length > 1e-6 ? [sum[0] / length, sum[1] / length, sum[2] / length] : [0, 0, 1];
+      pixels[texel * 4] = Math.round((nx * 0.5 + 0.5) * 255);
+      pixels[texel * 4 + 1] = Math.round((ny * 0.5 + 0.5) * 255);
+      pixels[texel * 4 + 2] = Math.round((nz * 0.5 + 0.5) * 255);
+      pixels[texel * 4 + 3] = Math.round(sum[3]);
+    }
+  }
+
+  return { canvas: writePixels(pixels, width, height), lengths };
+}
+
+/*
+ * Toksvig adjustment: the variance (1 - L) / L of normals whose filtered length is L is added
+ * to the GGX alpha squared, with alpha = roughness squared as in glTF.
+ * @param {CanvasImageSource|null} roughnessImage - glTF metallic-roughness image (roughness in G),
+ *   or null to make one from the factor alone
+ * @param {number} roughnessFactor - Material roughness, multiplied with the image
+ * @param {{lengths: Float32Array, width: number, height: number}} normals - From resampleNormalMap
+ * @returns {{canvas: HTMLCanvasElement, maxIncrease: number}} - Image with the adjusted roughness
+ *   in G, to be used with a roughness factor of 1. Other channels are copied from roughnessImage;
+ *   without it R, B and A are 255. maxIncrease is the largest roughness increase
+ */
+export function applyToksvigRoughness(roughnessImage, roughnessFactor, normals) {
+  const width = roughnessImage ? roughnessImage.width : normals.width;
+  const height = roughnessImage ? roughnessImage.height : normals.height;
+  const pixels = roughnessImage
+    ? new Uint8ClampedArray(readPixels(roughnessImage))
+    : new Uint8ClampedArray(width * height * 4).fill(255);
+  let maxIncrease = 0;
+
+  for (let y = 0; y < height; y++) {
+    // Nearest normal map texel; both maps are mapped over the same UVs
+    const ny = Math.min(normals.height - 1, Math.floor(((y + 0.5) * normals.height) / height));
+    for (let x = 0; x < width; x++) {
+      const nx = Math.min(normals.width - 1, Math.floor(((x + 0.5) * normals.width) / width));
+      const length = Math.max(1e-4, normals.lengths[ny * normals.width + nx]);
+      const i = (y * width + x) * 4 + 1;
+      const roughness = roughnessFactor * (roughnessImage ? pixels[i] / 255 : 1);
+      const alphaSquared = roughness ** 4 + (1 - length) / length;
+      const adjusted = Math.min(1, Math.sqrt(Math.sqrt(alphaSquared)));
+      maxIncrease = Math.max(maxIncrease, adjusted - roughness);
+      pixels[i] = Math.round(adjusted * 255);
+    }
+  }
+
+  return { canvas: writePixels(pixels, width, height), maxIncrease };
+}
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { readPixels, writePixels } from './imagePixels.js';
+
+// Packs separate occlusion, roughness and metalness maps into one texture laid out
+// as glTF expects: occlusion in R, roughness in G, metalness in B. three.js reads
+// the same channels from aoMap, roughnessMap and metalnessMap, so each input
+// contributes the channel it was already read from. Inputs of different sizes or
+// UV transforms are resampled into the space of one of them, the reference, whose
+// transform the packed texture keeps. That is exact inside the reference's 0-1
+// range; tiled inputs only line up elsewhere if they tile the same way.
+// https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html#reference-material
+
+const SLOTS = [
+  { map: 'aoMap', channel: 0 },
+  { map: 'roughnessMap', channel: 1 },
+  { map: 'metalnessMap', channel: 2 },
+];
+
+// Roughness first: GLTFExporter takes the metallic-roughness texture's settings from it
+const REFERENCE_ORDER = ['roughnessMap', 'metalnessMap', 'aoMap'];
+
+function srgbToLinear(c) {
+  return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+function wrap(coord, size, mode) {
+  if (mode === THREE.RepeatWrapping) return ((coord % size) + size) % size;
+  if (mode === THREE.MirroredRepeatWrapping) {
+    const period = size * 2;
+    const m = ((coord % period) + period) % period;
+    return m < size ? m : period - 1 - m;
+  }
+  return Math.min(size - 1, Math.max(0, coord));
+}
+
+function uvMatrix(texture) {
+  const { offset, repeat, rotation, center } = texture;
+  return new THREE.Matrix3().setUvTransform(offset.x, offset.y, repeat.x, repeat.y, rotation, center.x, center.y);
+}
+
+// Bilinear sample of one channel at texture coordinates (u, v), 0 to 1
+function sampleChannel(input, u, v) {
+  const { pixels, width, height, texture, channel } = input;
+  const x = u * width - 0.5;
+  // flipY textures have v = 0 at the bottom row of the image
+  const y = (texture.flipY ? 1 - v : v) * height - 0.5;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const read = (px, py) =>
+    pixels[(wrap(py, height, texture.wrapT) * width + wrap(px, width, texture.wrapS)) * 4 + channel] / 255;
+  const value =
+    (read(x0, y0) * (1 - fx) + read(x0 + 1, y0) * fx) * (1 - fy) +
+    (read(x0, y0 + 1) * (1 - fx) + read(x0 + 1, y0 + 1) * fx) * fy;
+  return texture.colorSpace === THREE.SRGBColorSpace ? srgbToLinear(value) : value;
+}
+
+function packTextures(inputs, reference) {
+  const width = Math.max(...inputs.map((input) => input.width));
+  const height = Math.max(...inputs.map((input) => input.height));
+  const referenceInverse = uvMatrix(reference).invert();
+  // Reference texture coordinates -> each input's
+  const transforms = inputs.map((input) => uvMatrix(input.texture).multiply(referenceInverse));
+  const pixels = new Uint8ClampedArray(width * height * 4).fill(255);
+  const point = new THREE.Vector2();
+
+  for (let y = 0; y < height; y++) {
+    const v = reference.flipY ? 1 - (y + 0.5) / height : (y + 0.5) / height;
+    for (let x = 0; x < width; x++) {
+      const u = (x + 0.5) / width;
+      const offset = (y * width + x) * 4;
+      inputs.forEach((input, i) => {
+        point.set(u, v).applyMatrix3(transforms[i]);
+        pixels[offset + input.channel] = Math.round(sampleChannel(input, point.x, point.y) * 255);
+      });
+    }
+  }
+  return writePixels(pixels, width, height);
+}
+
+// Why a material's maps can't be packed, or null
+function checkInputs(textures) {
+  if (textures.some((texture) => texture.isCompressedTexture || texture.isDataTexture || !texture.image?.width)) {
+    return 'a map is compressed or unreadable';
+  }
+  if (new Set(textures.map((texture) => texture.channel)).size > 1) return 'the maps use different UV sets';
+  if (new Set(textures.map((texture) => texture.flipY)).size > 1) return 'the maps are flipped differently';
+  return null;
+}
+
+function referencedTextures(scene) {
+  const textures = new Set();
+  scene.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    for (const material of materials) {
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) textures.add(value);
+      }
+    }
+  });
+  return textures;
+}
+
+const imageBytes = (total, image) => total + image.width * image.height * 4;
+
+/*
+ * Packs the occlusion, roughness and metalness maps of every MeshStandardMaterial in `scene`
+ * that has at least two different ones. Materials with the same maps share the packed texture.
+ * @param {THREE.Object3D} scene - Scene about to be exported
+ * @returns {{changes: string[], packed: number}} - One line per packed or skipped material and a
+ *   summary of textures and uncompressed texture memory saved; packed is the number of materials
+ */
+export function packOrmTextures(scene) {
+  const packedTextures = new Map(); // input texture uuids -> packed texture
+  const done = new Set();
+  const inputTextures = new Set();
+  const changes = [];
+  let packed = 0;
+
+  scene.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    for (const material of materials) {
+      if (done.has(material) || !material.isMeshStandardMaterial) continue;
+      done.add(material);
+      const present = SLOTS.filter(({ map }) => material[map]);
+      const textures = [...new Set(present.map(({ map }) => material[map]))];
+      if (textures.length < 2) continue;
+
+      const name = material.name ? `"${material.name}"` : material.type;
+      const problem = checkInputs(textures);
+      if (problem) {
+        changes.push(`ORM maps of ${name} not packed: ${problem}`);
+        continue;
+      }
+
+      const key = present.map(({ map }) => `${map}:${material[map].uuid}`).join(',');
+      if (!packedTextures.has(key)) {
+        const reference = material[REFERENCE_ORDER.find((map) => material[map])];
+        const inputs = present.map(({ map, channel }) => {
+          const texture = material[map];
+          return { texture, channel, pixels: readPixels(texture.image), width: texture.image.width, height: texture.image.height };
+        });
+        const texture = reference.clone();
+        texture.source = new THREE.Source(packTextures(inputs, reference));
+        texture.colorSpace = THREE.NoColorSpace;
+        texture.name = `${material.name || 'material'}_orm`;
+        packedTextures.set(key, texture);
+        const sizes = textures.map((input) => `${input.image.width}×${input.image.height}`).join(', ');
+        changes.push(
+          `Packed ${present.map(({ map }) => map).join(', ')} of ${name} (${sizes}) into ${texture.image.width}×${texture.image.height} ORM`
+        );
+      }
+      textures.forEach((texture) => inputTextures.add(texture));
+
+      // Every slot, not just those with a map: GLTFExporter would otherwise merge roughness and
+      // metalness into a second image. Channels without an input are 255, so only the factor applies
+      const texture = packedTextures.get(key);
+      SLOTS.forEach(({ map }) => (material[map] = texture));
+      material.needsUpdate = true;
+      packed++;
+    }
+  });
+
+  if (packed > 0) {
+    // Inputs other, unpacked materials still use stay in the file
+    const stillUsed = referencedTextures(scene);
+    const removed = [...inputTextures].filter((texture) => !stillUsed.has(texture));
+    const removedImages = new Set(removed.map((texture) => texture.image));
+    const bytesBefore = [...removedImages].reduce(imageBytes, 0);
+    const bytesAfter = [...packedTextures.values()].map((texture) => texture.image).reduce(imageBytes, 0);
+    changes.push(
+      `${packed} materials: ${removedImages.size} occlusion/roughness/metalness images → ${packedTextures.size} ORM textures, ` +
+        `uncompressed texture memory ${(bytesBefore / 1048576).toFixed(2)} MB → ${(bytesAfter / 1048576).toFixed(2)} MB`
+    );
+  }
+  return { changes, packed };
+}
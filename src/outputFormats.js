@@ -0,0 +1,152 @@
+import { decodeDataUri, pruneGlb, readGlb, writeGlb } from './glbContainer.js';
+import { createZip } from './zipWriter.js';
+
+// Containers an optimized model can be downloaded in. The optimizer always
+// produces a GLB (or keeps a self-contained .gltf); this rewrites it without
+// touching the data: a GLB, a single .gltf with buffers and images as data URIs,
+// or a zip of the .gltf with its .bin and image files next to it.
+
+export const OUTPUT_FORMATS = {
+  glb: 'Binary (.glb)',
+  'gltf-embedded': 'Embedded .gltf (data URIs)',
+  'gltf-zip': '.gltf + .bin + textures (.zip)',
+};
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/ktx2': 'ktx2',
+};
+
+// glTF JSON and the contents of each buffer, null for buffers without data (meshopt fallbacks)
+async function readModel(blob) {
+  const model = await parseModel(blob);
+  for (const image of model.json.images || []) {
+    if (image.uri !== undefined) readDataUri(image.uri);
+  }
+  return model;
+}
+
+async function parseModel(blob) {
+  const data = await blob.arrayBuffer();
+  if (data.byteLength >= 4 && new DataView(data).getUint32(0, true) === GLB_MAGIC) {
+    const { json, bin } = readGlb(data);
+    const buffers = (json.buffers || []).map((buffer, index) => {
+      if (buffer.uri === undefined) return index === 0 && bin ? bin.subarray(0, buffer.byteLength) : null;
+      return readDataUri(buffer.uri);
+    });
+    return { json, buffers };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new Error('Not a glTF file');
+  }
+  const buffers = (json.buffers || []).map((buffer) => (buffer.uri === undefined ? null : readDataUri(buffer.uri)));
+  return { json, buffers };
+}
+
+function readDataUri(uri) {
+  const decoded = decodeDataUri(uri);
+  if (!decoded) throw new Error(`${uri} is not embedded in the file`);
+  return decoded.bytes;
+}
+
+function encodeDataUri(bytes, mimeType) {
+  let binary = '';
+  // String.fromCharCode takes its arguments on the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+// Takes images out of buffer views, passing each one's bytes and MIME type to `toUri`,
+// then drops the views they leave unused
+function extractImages(json, buffers, toUri) {
+  (json.images || []).forEach((image, index) => {
+    if (image.bufferView !== undefined) {
+      const view = json.bufferViews[image.bufferView];
+      const start = view.byteOffset || 0;
+      image.uri = toUri(buffers[view.buffer].subarray(start, start + view.byteLength), image.mimeType, image, index);
+      delete image.bufferView;
+      delete image.mimeType;
+    } else if (image.uri !== undefined && image.uri.startsWith('data:')) {
+      const { bytes, mimeType } = decodeDataUri(image.uri);
+      image.uri = toUri(bytes, mimeType, image, index);
+    }
+  });
+  if (buffers[0]) buffers[0] = pruneGlb(json, buffers[0]);
+  if (json.bufferViews?.length === 0) delete json.bufferViews;
+  // Nothing but images was stored in it
+  if (buffers.length === 1 && buffers[0]?.byteLength === 0) {
+    delete json.buffers;
+    buffers.length = 0;
+  }
+}
+
+// Name for a file in the zip: the image's own name where it has one, unique and safe in a path
+function uniqueFileName(name, extension, taken) {
+  const base = (name || 'file').replace(/\.(png|jpe?g|webp|avif|ktx2)$/i, '').replace(/[^\w.-]+/g, '_') || 'file';
+  let candidate = `${base}.${extension}`;
+  for (let i = 1; taken.has(candidate.toLowerCase()); i++) candidate = `${base}_${i}.${extension}`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/*
+ * @param {Blob} blob - GLB, or .gltf whose buffers and images are embedded
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {string} baseName - Output file name without extension
+ * @returns {Promise<{blob: Blob, fileName: string, files?: {name: string, data: Uint8Array}[]}>} - The
+ *   file to download, with its MIME type set. A zip also returns its entries, the .gltf first
+ */
+export async function packageModel(blob, format, baseName) {
+  const { json, buffers } = await readModel(blob);
+
+  if (format === 'glb') {
+    // Buffer 0 becomes the BIN chunk; any other buffer stays a data URI
+    const bin = buffers[0] || null;
+    if (bin) delete json.buffers[0].uri;
+    const glb = writeGlb(json, bin);
+    return { blob: new Blob([glb], { type: 'model/gltf-binary' }), fileName: `${baseName}.glb` };
+  }
+
+  if (format === 'gltf-embedded') {
+    extractImages(json, buffers, (bytes, mimeType) => encodeDataUri(bytes, mimeType));
+    buffers.forEach((bytes, index) => {
+      if (bytes) json.buffers[index].uri = encodeDataUri(bytes, 'application/octet-stream');
+    });
+    return {
+      blob: new Blob([JSON.stringify(json)], { type: 'model/gltf+json' }),
+      fileName: `${baseName}.gltf`,
+    };
+  }
+
+  if (format === 'gltf-zip') {
+    const files = [];
+    const taken = new Set([`${baseName}.gltf`.toLowerCase()]);
+    const addFile = (name, data) => {
+      files.push({ name, data });
+      return encodeURIComponent(name);
+    };
+    extractImages(json, buffers, (bytes, mimeType, image, index) =>
+      addFile(uniqueFileName(image.name || `image_${index}`, IMAGE_EXTENSIONS[mimeType] || 'bin', taken), bytes)
+    );
+    buffers.forEach((bytes, index) => {
+      if (!bytes) return;
+      const name = uniqueFileName(index === 0 ? baseName : `${baseName}_${index}`, 'bin', taken);
+      json.buffers[index].uri = addFile(name, bytes);
+    });
+    files.unshift({ name: `${baseName}.gltf`, data: new TextEncoder().encode(JSON.stringify(json, null, 2)) });
+    return { blob: await createZip(files), fileName: `${baseName}.zip`, files };
+  }
+
+  throw new Error(`Unknown output format: ${format}`);
+}
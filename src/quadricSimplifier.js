@@ -0,0 +1,609 @@
+import * as THREE from 'three';
+
+// Edge-collapse simplifier driven by quadric error metrics (Garland & Heckbert)
+// with extra attribute terms, so normals, UVs and vertex colors are weighed
+// alongside the geometric error instead of being dropped after the fact.
+//
+// Vertices on UV/normal seams, open borders and non-manifold edges are locked:
+// other vertices may collapse onto them but they never move, which keeps
+// texture islands and hard edges intact.
+//
+// Every attribute and morph target is carried through a collapse. Most are
+// interpolated; skin influences are merged per joint, and integer attributes
+// that are not normalized (ids, flags) are treated as labels: edges whose ends
+// carry different labels are never collapsed.
+
+const DEFAULT_ATTRIBUTE_WEIGHTS = {
+  normal: 0.5,
+  uv: 1,
+  color: 0.5,
+};
+
+// Minimal binary min-heap keyed on `cost`
+class CollapseQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= item.cost) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = item;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      const length = items.length;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        let smallestCost = last.cost;
+        if (left < length && items[left].cost < smallestCost) {
+          smallest = left;
+          smallestCost = items[left].cost;
+        }
+        if (right < length && items[right].cost < smallestCost) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        items[i] = items[smallest];
+        i = smallest;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
+
+const MAX_SKIN_INFLUENCES = 4;
+
+function isLabelAttribute(name, attribute) {
+  const isInteger = !(attribute.array instanceof Float32Array || attribute.array instanceof Float64Array);
+  return isInteger && !attribute.normalized && name !== 'skinIndex';
+}
+
+// Builds an index that merges vertices whose attributes (morph targets included)
+// are all bit-identical, so that only genuine seams (same position, different
+// attributes) remain split.
+function buildWeldedIndex(geometry, attributes) {
+  const vertexCount = geometry.attributes.position.count;
+  const sourceIndex = geometry.index ? geometry.index.array : null;
+  const remap = new Uint32Array(vertexCount);
+  const lookup = new Map();
+
+  for (let v = 0; v < vertexCount; v++) {
+    let key = '';
+    for (const attribute of attributes) {
+      for (let c = 0; c < attribute.itemSize; c++) {
+        key += attribute.getComponent(v, c) + ',';
+      }
+    }
+    const existing = lookup.get(key);
+    if (existing === undefined) {
+      lookup.set(key, v);
+      remap[v] = v;
+    } else {
+      remap[v] = existing;
+    }
+  }
+
+  const indexCount = sourceIndex ? sourceIndex.length : vertexCount;
+  const index = new Uint32Array(indexCount);
+  for (let i = 0; i < indexCount; i++) {
+    index[i] = remap[sourceIndex ? sourceIndex[i] : i];
+  }
+  return index;
+}
+
+function addPlaneQuadric(quadric, offset, a, b, c, d, weight) {
+  quadric[offset] += weight * a * a;
+  quadric[offset + 1] += weight * a * b;
+  quadric[offset + 2] += weight * a * c;
+  quadric[offset + 3] += weight * a * d;
+  quadric[offset + 4] += weight * b * b;
+  quadric[offset + 5] += weight * b * c;
+  quadric[offset + 6] += weight * b * d;
+  quadric[offset + 7] += weight * c * c;
+  quadric[offset + 8] += weight * c * d;
+  quadric[offset + 9] += weight * d * d;
+}
+
+function evaluateQuadric(q, x, y, z) {
+  return (
+    q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+    q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+    q[7] * z * z + 2 * q[8] * z +
+    q[9]
+  );
+}
+
+// Blends the skin influences of `drop` into `keep` at equal weight, keeping the
+// strongest MAX_SKIN_INFLUENCES joints and renormalizing their weights to 1
+function mergeSkinInfluences(skinIndex, skinWeight, keep, drop) {
+  const itemSize = skinIndex.itemSize;
+  const joints = new Map();
+  for (const v of [keep, drop]) {
+    for (let c = 0; c < itemSize; c++) {
+      const weight = skinWeight.values[v * itemSize + c];
+      if (weight <= 0) continue;
+      const joint = skinIndex.values[v * itemSize + c];
+      joints.set(joint, (joints.get(joint) || 0) + weight * 0.5);
+    }
+  }
+
+  const strongest = [...joints.entries()]
+    .sort((x, y) => y[1] - x[1] || x[0] - y[0])
+    .slice(0, Math.min(itemSize, MAX_SKIN_INFLUENCES));
+  const total = strongest.reduce((sum, [, weight]) => sum + weight, 0);
+
+  for (let c = 0; c < itemSize; c++) {
+    const influence = strongest[c];
+    skinIndex.values[keep * itemSize + c] = influence ? influence[0] : 0;
+    skinWeight.values[keep * itemSize + c] = influence && total > 0 ? influence[1] / total : 0;
+  }
+}
+
+/*
+ * @param {THREE.BufferGeometry} geometry - Source geometry (left untouched)
+ * @param {Object} options
+ * @param {number} [options.targetRatio] - Fraction of triangles to keep (0-1)
+ * @param {number} [options.targetTriangleCount] - Absolute triangle target, overrides targetRatio
+ * @param {Object} [options.attributeWeights] - Error weight per attribute name
+ * @param {boolean} [options.lockBorders=true] - Keep open border vertices fixed
+ * @param {boolean} [options.lockSeams=true] - Keep attribute seam vertices fixed
+ * @param {boolean} [options.lockMaterialBoundaries=true] - Keep vertices shared by groups of different materials fixed
+ * @returns {{geometry: THREE.BufferGeometry, originalTriangleCount: number, triangleCount: number, targetTriangleCount: number, lockedVertexCount: number, sourceTriangles: Uint32Array}}
+ *   The output has no groups; sourceTriangles[i] is the input triangle that output triangle i
+ *   descends from, which restoreMaterialGroups uses to rebuild them exactly.
+ */
+export function simplifyGeometryQuadric(geometry, options = {}) {
+  const position = geometry.attributes.position;
+  if (!position) {
+    throw new Error('Quadric simplification requires a position attribute');
+  }
+
+  const attributeWeights = { ...DEFAULT_ATTRIBUTE_WEIGHTS, ...options.attributeWeights };
+  const lockBorders = options.lockBorders ?? true;
+  const lockSeams = options.lockSeams ?? true;
+  const lockMaterialBoundaries = options.lockMaterialBoundaries ?? true;
+
+  const attributeNames = Object.keys(geometry.attributes);
+  const morphNames = Object.keys(geometry.morphAttributes || {});
+  if (geometry.attributes.skinIndex && !geometry.attributes.skinWeight) {
+    throw new Error('skinIndex without skinWeight cannot be simplified');
+  }
+
+  const index = buildWeldedIndex(geometry, [
+    ...Object.values(geometry.attributes),
+    ...morphNames.flatMap((name) => geometry.morphAttributes[name]),
+  ]);
+  const triangleCount = Math.floor(index.length / 3);
+  const vertexCount = position.count;
+
+  const targetTriangleCount = Math.max(
+    1,
+    Math.min(
+      triangleCount,
+      Math.floor(options.targetTriangleCount ?? triangleCount * (options.targetRatio ?? 0.5))
+    )
+  );
+
+  // Working copies of every attribute so collapses can write interpolated values
+  const copyValues = (attribute) => {
+    const values = new Float64Array(vertexCount * attribute.itemSize);
+    for (let v = 0; v < vertexCount; v++) {
+      for (let c = 0; c < attribute.itemSize; c++) {
+        values[v * attribute.itemSize + c] = attribute.getComponent(v, c);
+      }
+    }
+    return { values, itemSize: attribute.itemSize };
+  };
+  const working = {};
+  for (const name of attributeNames) {
+    working[name] = copyValues(geometry.attributes[name]);
+  }
+  const morphWorking = {};
+  for (const name of morphNames) {
+    morphWorking[name] = geometry.morphAttributes[name].map(copyValues);
+  }
+  const positions = working.position.values;
+  const labelAttributes = attributeNames
+    .filter((name) => isLabelAttribute(name, geometry.attributes[name]))
+    .map((name) => working[name]);
+  const interpolatedAttributes = attributeNames
+    .filter((name) => !labelAttributes.includes(working[name]) && name !== 'skinIndex' && name !== 'skinWeight')
+    .map((name) => ({ name, ...working[name] }));
+
+  const box = new THREE.Box3().setFromBufferAttribute(position);
+  const diagonal = Math.max(box.min.distanceTo(box.max), 1e-12);
+
+  // Group vertex indices by exact position to find attribute seams
+  const positionIds = new Uint32Array(vertexCount);
+  const positionLookup = new Map();
+  const verticesPerPosition = [];
+  for (let v = 0; v < vertexCount; v++) {
+    const key = `${positions[v * 3]},${positions[v * 3 + 1]},${positions[v * 3 + 2]}`;
+    let id = positionLookup.get(key);
+    if (id === undefined) {
+      id = verticesPerPosition.length;
+      positionLookup.set(key, id);
+      verticesPerPosition.push(0);
+    }
+    positionIds[v] = id;
+  }
+
+  const referenced = new Uint8Array(vertexCount);
+  for (let i = 0; i < index.length; i++) {
+    referenced[index[i]] = 1;
+  }
+  for (let v = 0; v < vertexCount; v++) {
+    if (referenced[v]) verticesPerPosition[positionIds[v]]++;
+  }
+
+  const locked = new Uint8Array(vertexCount);
+  if (lockSeams) {
+    for (let v = 0; v < vertexCount; v++) {
+      if (verticesPerPosition[positionIds[v]] > 1) locked[v] = 1;
+    }
+  }
+
+  // Collapses never move a triangle between groups, but the boundary between two materials
+  // would still drift unless the vertices on it stay put
+  if (lockMaterialBoundaries && geometry.groups.length > 1) {
+    const vertexMaterial = new Int32Array(verticesPerPosition.length).fill(-1);
+    const mixed = new Uint8Array(verticesPerPosition.length);
+    for (const group of geometry.groups) {
+      const first = Math.max(0, Math.floor(group.start / 3));
+      const last = Math.min(triangleCount, Math.floor((group.start + group.count) / 3));
+      for (let t = first; t < last; t++) {
+        for (let k = 0; k < 3; k++) {
+          const id = positionIds[index[t * 3 + k]];
+          if (vertexMaterial[id] === -1) vertexMaterial[id] = group.materialIndex;
+          else if (vertexMaterial[id] !== group.materialIndex) mixed[id] = 1;
+        }
+      }
+    }
+    for (let v = 0; v < vertexCount; v++) {
+      if (mixed[positionIds[v]]) locked[v] = 1;
+    }
+  }
+
+  // Count how many triangles use each geometric edge to find borders and non-manifold edges
+  const edgeUse = new Map();
+  const edgeKey = (a, b) => {
+    const pa = positionIds[a];
+    const pb = positionIds[b];
+    return pa < pb ? pa * verticesPerPosition.length + pb : pb * verticesPerPosition.length + pa;
+  };
+  for (let t = 0; t < triangleCount; t++) {
+    for (let e = 0; e < 3; e++) {
+      const key = edgeKey(index[t * 3 + e], index[t * 3 + ((e + 1) % 3)]);
+      edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+    }
+  }
+  for (let t = 0; t < triangleCount; t++) {
+    for (let e = 0; e < 3; e++) {
+      const a = index[t * 3 + e];
+      const b = index[t * 3 + ((e + 1) % 3)];
+      const uses = edgeUse.get(edgeKey(a, b));
+      if (uses > 2 || (lockBorders && uses === 1)) {
+        locked[a] = 1;
+        locked[b] = 1;
+      }
+    }
+  }
+
+  // Area-weighted plane quadrics and per-vertex area for the attribute terms
+  const quadrics = new Float64Array(vertexCount * 10);
+  const vertexArea = new Float64Array(vertexCount);
+  const vertexTriangles = Array.from({ length: vertexCount }, () => []);
+  const pA = new THREE.Vector3();
+  const pB = new THREE.Vector3();
+  const pC = new THREE.Vector3();
+  const faceNormal = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+  let totalArea = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const a = index[t * 3];
+    const b = index[t * 3 + 1];
+    const c = index[t * 3 + 2];
+    pA.fromArray(positions, a * 3);
+    pB.fromArray(positions, b * 3);
+    pC.fromArray(positions, c * 3);
+    faceNormal.subVectors(pC, pB).cross(edge.subVectors(pA, pB));
+    const doubleArea = faceNormal.length();
+    const area = doubleArea * 0.5;
+    totalArea += area;
+
+    if (doubleArea > 0) {
+      faceNormal.divideScalar(doubleArea);
+      const d = -faceNormal.dot(pA);
+      for (const v of [a, b, c]) {
+        addPlaneQuadric(quadrics, v * 10, faceNormal.x, faceNormal.y, faceNormal.z, d, area);
+      }
+    }
+
+    for (const v of [a, b, c]) {
+      vertexArea[v] += area / 3;
+      vertexTriangles[v].push(t);
+    }
+  }
+
+  const positionScale = 1 / (diagonal * diagonal * Math.max(totalArea, 1e-12));
+  const areaScale = 1 / Math.max(totalArea, 1e-12);
+  const weightedAttributes = attributeNames
+    .filter((name) => name !== 'position' && attributeWeights[name] > 0)
+    .map((name) => ({ name, weight: attributeWeights[name], ...working[name] }));
+
+  const triangles = index;
+  const removedTriangle = new Uint8Array(triangleCount);
+  const removedVertex = new Uint8Array(vertexCount);
+  const versions = new Uint32Array(vertexCount);
+  let liveTriangleCount = triangleCount;
+
+  const liveTriangles = (v) => {
+    const list = vertexTriangles[v].filter((t) => !removedTriangle[t]);
+    vertexTriangles[v] = list;
+    return list;
+  };
+
+  const neighbours = (v) => {
+    const result = new Set();
+    for (const t of liveTriangles(v)) {
+      for (let k = 0; k < 3; k++) {
+        const w = triangles[t * 3 + k];
+        if (w !== v) result.add(w);
+      }
+    }
+    return result;
+  };
+
+  const combinedQuadric = new Float64Array(10);
+
+  // Computes the best placement for collapsing the edge (a, b), or null when neither end may move
+  const evaluateCollapse = (a, b) => {
+    if (locked[a] && locked[b]) return null;
+
+    for (const { values, itemSize } of labelAttributes) {
+      for (let c = 0; c < itemSize; c++) {
+        if (values[a * itemSize + c] !== values[b * itemSize + c]) return null;
+      }
+    }
+
+    for (let k = 0; k < 10; k++) {
+      combinedQuadric[k] = quadrics[a * 10 + k] + quadrics[b * 10 + k];
+    }
+
+    // t is the interpolation parameter from a (0) to b (1)
+    const candidates = locked[a] ? [0] : locked[b] ? [1] : [0, 0.5, 1];
+    let best = null;
+
+    for (const t of candidates) {
+      const x = positions[a * 3] + (positions[b * 3] - positions[a * 3]) * t;
+      const y = positions[a * 3 + 1] + (positions[b * 3 + 1] - positions[a * 3 + 1]) * t;
+      const z = positions[a * 3 + 2] + (positions[b * 3 + 2] - positions[a * 3 + 2]) * t;
+      let cost = Math.max(0, evaluateQuadric(combinedQuadric, x, y, z)) * positionScale;
+
+      for (const attribute of weightedAttributes) {
+        const { values, itemSize, weight } = attribute;
+        let deltaA = 0;
+        let deltaB = 0;
+        for (let c = 0; c < itemSize; c++) {
+          const diff = values[b * itemSize + c] - values[a * itemSize + c];
+          deltaA += (diff * t) * (diff * t);
+          deltaB += (diff * (1 - t)) * (diff * (1 - t));
+        }
+        cost += weight * areaScale * (vertexArea[a] * deltaA + vertexArea[b] * deltaB);
+      }
+
+      if (!best || cost < best.cost) {
+        best = { cost, t };
+      }
+    }
+
+    return best;
+  };
+
+  const queue = new CollapseQueue();
+  const pushCollapse = (a, b) => {
+    const result = evaluateCollapse(a, b);
+    if (result) {
+      queue.push({ cost: result.cost, t: result.t, a, b, versionA: versions[a], versionB: versions[b] });
+    }
+  };
+
+  for (let t = 0; t < triangleCount; t++) {
+    for (let e = 0; e < 3; e++) {
+      const a = triangles[t * 3 + e];
+      const b = triangles[t * 3 + ((e + 1) % 3)];
+      if (a < b) pushCollapse(a, b);
+      else if (a !== b) pushCollapse(b, a);
+    }
+  }
+
+  const before = new THREE.Vector3();
+  const after = new THREE.Vector3();
+  const moved = new THREE.Vector3();
+
+  // Rejects collapses that would fold a triangle over or make it degenerate
+  const flipsTriangles = (v, other, target) => {
+    for (const t of vertexTriangles[v]) {
+      if (removedTriangle[t]) continue;
+      const ids = [triangles[t * 3], triangles[t * 3 + 1], triangles[t * 3 + 2]];
+      if (ids.includes(other)) continue;
+
+      pA.fromArray(positions, ids[0] * 3);
+      pB.fromArray(positions, ids[1] * 3);
+      pC.fromArray(positions, ids[2] * 3);
+      before.subVectors(pC, pB).cross(edge.subVectors(pA, pB));
+
+      const corner = ids.indexOf(v);
+      const corners = [pA, pB, pC];
+      moved.copy(corners[corner]);
+      corners[corner].copy(target);
+      after.subVectors(pC, pB).cross(edge.subVectors(pA, pB));
+      corners[corner].copy(moved);
+
+      // Allow the face normal to turn by at most ~75 degrees per collapse
+      const afterLength = after.length();
+      if (afterLength <= 1e-12 * diagonal * diagonal) return true;
+      if (before.dot(after) <= 0.25 * before.length() * afterLength) return true;
+    }
+    return false;
+  };
+
+  const target = new THREE.Vector3();
+
+  while (liveTriangleCount > targetTriangleCount && queue.size > 0) {
+    const collapse = queue.pop();
+    const { a, b, t } = collapse;
+    if (removedVertex[a] || removedVertex[b]) continue;
+    if (collapse.versionA !== versions[a] || collapse.versionB !== versions[b]) continue;
+
+    // Link condition: the edge's endpoints may only share the vertices opposite the edge
+    const shared = liveTriangles(a).filter((tri) => vertexTriangles[b].includes(tri) && !removedTriangle[tri]);
+    if (shared.length === 0) continue;
+    const neighboursB = neighbours(b);
+    let commonNeighbours = 0;
+    for (const w of neighbours(a)) {
+      if (neighboursB.has(w)) commonNeighbours++;
+    }
+    if (commonNeighbours !== shared.length) continue;
+
+    target.set(
+      positions[a * 3] + (positions[b * 3] - positions[a * 3]) * t,
+      positions[a * 3 + 1] + (positions[b * 3 + 1] - positions[a * 3 + 1]) * t,
+      positions[a * 3 + 2] + (positions[b * 3 + 2] - positions[a * 3 + 2]) * t
+    );
+    if (flipsTriangles(a, b, target) || flipsTriangles(b, a, target)) continue;
+
+    // Keep whichever end stays put; otherwise keep a and write the interpolated values into it
+    const keep = t === 1 ? b : a;
+    const drop = keep === a ? b : a;
+
+    if (t !== 0 && t !== 1) {
+      const midpoint = ({ values, itemSize }, components = itemSize) => {
+        for (let c = 0; c < components; c++) {
+          values[keep * itemSize + c] += (values[drop * itemSize + c] - values[keep * itemSize + c]) * 0.5;
+        }
+      };
+
+      for (const attribute of interpolatedAttributes) {
+        const { name, values, itemSize } = attribute;
+        // Tangent w is the bitangent sign and stays with the kept vertex
+        midpoint(attribute, name === 'tangent' ? 3 : itemSize);
+        if (name === 'normal' || name === 'tangent') {
+          const length = Math.hypot(values[keep * itemSize], values[keep * itemSize + 1], values[keep * itemSize + 2]);
+          if (length > 0) {
+            for (let c = 0; c < 3; c++) values[keep * itemSize + c] /= length;
+          }
+        }
+      }
+      for (const name of morphNames) {
+        morphWorking[name].forEach((target) => midpoint(target));
+      }
+      if (working.skinIndex) {
+        mergeSkinInfluences(working.skinIndex, working.skinWeight, keep, drop);
+      }
+    }
+
+    for (const tri of shared) {
+      removedTriangle[tri] = 1;
+      liveTriangleCount--;
+    }
+    for (const tri of vertexTriangles[drop]) {
+      if (removedTriangle[tri]) continue;
+      for (let k = 0; k < 3; k++) {
+        if (triangles[tri * 3 + k] === drop) triangles[tri * 3 + k] = keep;
+      }
+      vertexTriangles[keep].push(tri);
+    }
+    vertexTriangles[drop] = [];
+    removedVertex[drop] = 1;
+
+    for (let k = 0; k < 10; k++) {
+      quadrics[keep * 10 + k] += quadrics[drop * 10 + k];
+    }
+    vertexArea[keep] += vertexArea[drop];
+    versions[keep]++;
+
+    for (const w of neighbours(keep)) {
+      if (keep < w) pushCollapse(keep, w);
+      else pushCollapse(w, keep);
+    }
+  }
+
+  // Compact the surviving triangles and vertices into a fresh geometry
+  const vertexRemap = new Int32Array(vertexCount).fill(-1);
+  const outputIndex = [];
+  const sourceTriangles = new Uint32Array(liveTriangleCount);
+  let outputVertexCount = 0;
+  for (let tri = 0; tri < triangleCount; tri++) {
+    if (removedTriangle[tri]) continue;
+    sourceTriangles[outputIndex.length / 3] = tri;
+    for (let k = 0; k < 3; k++) {
+      const v = triangles[tri * 3 + k];
+      if (vertexRemap[v] === -1) vertexRemap[v] = outputVertexCount++;
+      outputIndex.push(vertexRemap[v]);
+    }
+  }
+
+  // Same array type and normalization as the source; setComponent re-quantizes normalized values
+  const compactAttribute = (source, { values, itemSize }) => {
+    const isInteger = !(source.array instanceof Float32Array || source.array instanceof Float64Array);
+    const attribute = new THREE.BufferAttribute(new source.array.constructor(outputVertexCount * itemSize), itemSize, source.normalized);
+    for (let v = 0; v < vertexCount; v++) {
+      const target = vertexRemap[v];
+      if (target === -1) continue;
+      for (let c = 0; c < itemSize; c++) {
+        const value = values[v * itemSize + c];
+        attribute.setComponent(target, c, isInteger && !source.normalized ? Math.round(value) : value);
+      }
+    }
+    attribute.name = source.name;
+    return attribute;
+  };
+
+  const simplified = new THREE.BufferGeometry();
+  for (const name of attributeNames) {
+    simplified.setAttribute(name, compactAttribute(geometry.attributes[name], working[name]));
+  }
+  for (const name of morphNames) {
+    simplified.morphAttributes[name] = geometry.morphAttributes[name].map((source, i) =>
+      compactAttribute(source, morphWorking[name][i])
+    );
+  }
+  simplified.morphTargetsRelative = geometry.morphTargetsRelative;
+  simplified.setIndex(new THREE.BufferAttribute(new Uint32Array(outputIndex), 1));
+
+  let lockedVertexCount = 0;
+  for (let v = 0; v < vertexCount; v++) {
+    if (locked[v] && referenced[v]) lockedVertexCount++;
+  }
+
+  return {
+    geometry: simplified,
+    originalTriangleCount: triangleCount,
+    triangleCount: liveTriangleCount,
+    targetTriangleCount,
+    lockedVertexCount,
+    sourceTriangles,
+  };
+}
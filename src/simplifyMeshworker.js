@@ -1,16 +1,69 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
 import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js';
 import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
-import { toCreasedNormals, preserveMaterialGroups, restoreMaterialGroups, checkForLostFeatures, analyzeFeatureSizes } from './ThreeJsUtils.jsx';
-const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/v1/decoders/';
+import { toCreasedNormals, preserveMaterialGroups, restoreMaterialGroups, analyzeFeatureSizes } from './ThreeJsUtils.jsx';
+import { simplifyGeometryQuadric } from './quadricSimplifier.js';
+import { measureSurfaceDeviation } from './surfaceDeviation.js';
+import { packGeometry, unpackGeometry } from './geometryTransfer.js';
+// Default acceptance tolerance: Hausdorff distance as a fraction of the bbox diagonal
+const DEFAULT_MAX_SURFACE_DEVIATION = 0.01;
+// The only attributes the SimplifyModifier path writes back
+const MODIFIER_ATTRIBUTES = ['position', 'normal', 'uv'];
+
+// Swaps in the vertex data of `source`, keeping the target's groups and userData
+function replaceGeometryData(target, source) {
+    for (const name of Object.keys(target.attributes)) {
+        target.deleteAttribute(name);
+    }
+    for (const [name, attribute] of Object.entries(source.attributes)) {
+        target.setAttribute(name, attribute);
+    }
+    target.morphAttributes = source.morphAttributes;
+    target.morphTargetsRelative = source.morphTargetsRelative;
+    target.setIndex(source.index);
+}
+
+// Returns why `method` would have to drop data from this geometry, or null if it can keep everything
+function findUnpreservableData(geometry, method) {
+    const vertexCount = geometry.attributes.position.count;
+    const mismatched = [
+        ...Object.entries(geometry.attributes).filter(([, attribute]) => attribute.count !== vertexCount),
+        ...Object.entries(geometry.morphAttributes).filter(([, targets]) => targets.some((t) => t.count !== vertexCount)),
+    ].map(([name]) => name);
+    if (mismatched.length > 0) {
+        return `vertex count of ${mismatched.join(', ')} does not match position`;
+    }
+
+    if (method === 'quadric') {
+        if (geometry.attributes.skinIndex && !geometry.attributes.skinWeight) {
+            return 'skinIndex has no matching skinWeight, influences cannot be merged';
+        }
+        return null;
+    }
+
+    // SimplifyModifier rebuilds faces without remembering their source, so groups can only be
+    // rebuilt when they all use the same material
+    if (new Set(geometry.groups.map((group) => group.materialIndex)).size > 1) {
+        return 'SimplifyModifier cannot keep triangles assigned to their materials';
+    }
+
+    const dropped = Object.keys(geometry.attributes).filter((name) => !MODIFIER_ATTRIBUTES.includes(name));
+    const morphs = Object.keys(geometry.morphAttributes).filter((name) => geometry.morphAttributes[name].length > 0);
+    if (dropped.length > 0 || morphs.length > 0) {
+        const lost = [...dropped, ...morphs.map((name) => `morph ${name}`)];
+        return `SimplifyModifier cannot preserve ${lost.join(', ')}`;
+    }
+    return null;
+}
 
 /*
  * @param {THREE.BufferGeometry} geometry - The geometry to simplify
  * @param {Object} optimizationConfig - Configuration options for optimization
- * @returns {boolean} - Whether the geometry was modified
+ * @returns {boolean} - Whether the geometry was modified. The measured surface
+ *   deviation of the accepted result is left in geometry.userData.surfaceDeviation,
+ *   and the reason simplification was skipped in geometry.userData.skippedReason
  */
 async function simplifyMesh(geometry, optimizationConfig) {
     if (!geometry || !geometry.attributes || !geometry.attributes.position || !optimizationConfig) {
@@ -35,27 +88,11 @@ async function simplifyMesh(geometry, optimizationConfig) {
     // Step 1: Remove duplicate vertices if configured
     if (optimizationConfig.removeDuplicates) {
         try {
-            const merged = THREE.BufferGeometryUtils.mergeVertices(geometry.clone(), 0.0001);
+            // mergeVertices compares and carries every attribute and morph target
+            const merged = mergeVertices(geometry.clone(), 0.0001);
 
             if (merged.attributes.position.count <= currentBestVertexCount) {
-                const newPosArray = new Float32Array(merged.attributes.position.array);
-                const newPosition = new THREE.BufferAttribute(newPosArray, 3);
-                geometry.setAttribute('position', newPosition);
-
-                if (merged.index) {
-                    const newIndexArray = new Uint32Array(merged.index.array);
-                    geometry.setIndex(new THREE.BufferAttribute(newIndexArray, 1));
-                }
-
-                if (merged.attributes.normal) {
-                    const newNormalArray = new Float32Array(merged.attributes.normal.array);
-                    geometry.setAttribute('normal', new THREE.BufferAttribute(newNormalArray, 3));
-                }
-
-                if (merged.attributes.uv) {
-                    const newUvArray = new Float32Array(merged.attributes.uv.array);
-                    geometry.setAttribute('uv', new THREE.BufferAttribute(newUvArray, 2));
-                }
+                replaceGeometryData(geometry, merged);
 
                 currentBestGeometry = geometry;
                 currentBestVertexCount = geometry.attributes.position.count;
@@ -76,6 +113,17 @@ async function simplifyMesh(geometry, optimizationConfig) {
     }
 
     try {
+        const maxDeviation = optimizationConfig.maxSurfaceDeviation ?? DEFAULT_MAX_SURFACE_DEVIATION;
+        const method = optimizationConfig.simplificationMethod || 'quadric';
+
+        // Skip rather than strip attributes (skinning, morph targets, extra UV sets, ...)
+        const skippedReason = findUnpreservableData(geometry, method);
+        if (skippedReason) {
+            console.warn(`Skipping simplification: ${skippedReason}`);
+            geometry.userData.skippedReason = skippedReason;
+            return modified;
+        }
+
         const originalMaterialGroups = preserveMaterialGroups(originalGeometry);
 
         // Only compute normals if preserveNormals is false or no normals exist
@@ -84,6 +132,56 @@ async function simplifyMesh(geometry, optimizationConfig) {
             console.log('Computed new normals as preserveNormals is false or no normals provided');
         }
 
+        // Quadric simplifier reaches the requested ratio in a single pass; it only retries,
+        // keeping more triangles each time, when the result exceeds the deviation tolerance
+        if (method === 'quadric') {
+            const MAX_QUADRIC_ATTEMPTS = 4;
+            let keepRatio = 1 - optimizationConfig.simplificationRatio;
+            let accepted = null;
+
+            for (let attempt = 1; attempt <= MAX_QUADRIC_ATTEMPTS && !accepted; attempt++) {
+                const result = simplifyGeometryQuadric(geometry, {
+                    targetRatio: keepRatio,
+                    attributeWeights: optimizationConfig.attributeWeights,
+                });
+
+                if (result.triangleCount >= result.originalTriangleCount) {
+                    console.warn('Quadric simplification could not collapse any edges, keeping original geometry');
+                    result.geometry.dispose();
+                    return modified;
+                }
+
+                const deviation = measureSurfaceDeviation(originalGeometry, result.geometry);
+                if (deviation.relativeHausdorff > maxDeviation) {
+                    console.warn(
+                        `Quadric attempt #${attempt} rejected: Hausdorff ${(deviation.relativeHausdorff * 100).toFixed(3)}% of bbox diagonal exceeds ${(maxDeviation * 100).toFixed(3)}%`
+                    );
+                    result.geometry.dispose();
+                    keepRatio += (1 - keepRatio) / 2;
+                    continue;
+                }
+
+                accepted = { ...result, deviation };
+            }
+
+            if (!accepted) {
+                console.warn(`No quadric simplification within tolerance after ${MAX_QUADRIC_ATTEMPTS} attempts, keeping original geometry`);
+                return modified;
+            }
+
+            replaceGeometryData(geometry, accepted.geometry);
+            geometry.userData.surfaceDeviation = accepted.deviation;
+
+            if (originalMaterialGroups) {
+                geometry.userData.materialTriangles = restoreMaterialGroups(geometry, originalMaterialGroups, accepted.sourceTriangles);
+            }
+
+            console.log(
+                `Quadric simplification complete: ${accepted.originalTriangleCount} → ${accepted.triangleCount} triangles (target ${accepted.targetTriangleCount}, ${accepted.lockedVertexCount} seam/border vertices locked), Hausdorff ${(accepted.deviation.relativeHausdorff * 100).toFixed(3)}% / RMS ${(accepted.deviation.relativeRms * 100).toFixed(3)}% of bbox diagonal.`
+            );
+            return true;
+        }
+
         const modifier = new SimplifyModifier();
         const meshAnalysis = analyzeFeatureSizes(geometry);
 
@@ -127,7 +225,7 @@ async function simplifyMesh(geometry, optimizationConfig) {
             const clonedGeometry = originalGeometry.clone();
 
             try {
-                const simplified = modifier.modify(clonedGeometry, targetCount);
+                let simplified = modifier.modify(clonedGeometry, targetCount);
 
                 if (simplified.attributes.position.count >= originalVertexCount) {
                     console.warn('Simplification increased vertex count, rejecting result');
@@ -136,9 +234,9 @@ async function simplifyMesh(geometry, optimizationConfig) {
                     continue;
                 }
 
-                if (originalMaterialGroups) {
-                    restoreMaterialGroups(simplified, originalMaterialGroups);
-                }
+                const materialTriangles = originalMaterialGroups
+                    ? restoreMaterialGroups(simplified, originalMaterialGroups)
+                    : null;
 
                 // Only compute creased normals if preserveNormals is false or no normals exist
                 if (!optimizationConfig.preserveNormals || !simplified.attributes.normal) {
@@ -149,26 +247,12 @@ async function simplifyMesh(geometry, optimizationConfig) {
                     simplified = creased;
                 }
 
-                const originalBox = new THREE.Box3().setFromObject(new THREE.Mesh(originalGeometry));
-                const newBox = new THREE.Box3().setFromObject(new THREE.Mesh(simplified));
-                const originalSize = new THREE.Vector3();
-                const newSize = new THREE.Vector3();
-                originalBox.getSize(originalSize);
-                newBox.getSize(newSize);
-
-                const distortionThreshold = meshAnalysis.isHighDetail ? 0.1 : 0.15; // was 0.05 : 0.08
-                const distortion =
-                    Math.abs(newSize.x / originalSize.x - 1) > distortionThreshold ||
-                    Math.abs(newSize.y / originalSize.y - 1) > distortionThreshold ||
-                    Math.abs(newSize.z / originalSize.z - 1) > distortionThreshold;
+                const deviation = measureSurfaceDeviation(originalGeometry, simplified);
+                const exceedsTolerance = deviation.relativeHausdorff > maxDeviation;
 
-                const featureAnalysis = checkForLostFeatures(originalGeometry, simplified);
-                const featureLossThreshold = meshAnalysis.isHighDetail ? 0.5 : 0.6; // was 0.3 : 0.4
-                const hasLostFeatures = featureAnalysis.lossRatio > featureLossThreshold;
-
-                if (distortion || hasLostFeatures) {
+                if (exceedsTolerance) {
                     console.warn(
-                        `Simplification attempt #${attempts} rejected: Distortion=${distortion}, Features lost=${hasLostFeatures}. Feature loss ratio: ${featureAnalysis.lossRatio.toFixed(2)}`
+                        `Simplification attempt #${attempts} rejected: Hausdorff ${(deviation.relativeHausdorff * 100).toFixed(3)}% of bbox diagonal exceeds ${(maxDeviation * 100).toFixed(3)}%`
                     );
                     currentTargetRatio = Math.min(currentTargetRatio + 0.05, 0.98);
                     simplified.dispose();
@@ -206,6 +290,8 @@ async function simplifyMesh(geometry, optimizationConfig) {
                     if (simplified.groups && simplified.groups.length > 0) {
                         geometry.groups = JSON.parse(JSON.stringify(simplified.groups));
                     }
+                    geometry.userData.surfaceDeviation = deviation;
+                    geometry.userData.materialTriangles = materialTriangles;
 
                     currentBestGeometry = geometry;
                     currentBestVertexCount = geometry.attributes.position.count;
@@ -247,75 +333,18 @@ self.onmessage = async function (e) {
     const { meshData, optimizationConfig } = e.data;
 
     try {
-        const geometry = new THREE.BufferGeometry();
-
-        if (meshData.attributes.position) {
-            geometry.setAttribute('position',
-                new THREE.Float32BufferAttribute(meshData.attributes.position, 3));
-        }
-
-        if (meshData.attributes.normal) {
-            geometry.setAttribute('normal',
-                new THREE.Float32BufferAttribute(meshData.attributes.normal, 3));
-        }
-
-        if (meshData.attributes.uv) {
-            geometry.setAttribute('uv',
-                new THREE.Float32BufferAttribute(meshData.attributes.uv, 2));
-        }
-
-        if (meshData.index) {
-            geometry.setIndex(
-                new THREE.Uint32BufferAttribute(meshData.index, 1)
-            );
-        }
-
-        if (meshData.groups && meshData.groups.length) {
-            geometry.groups = JSON.parse(JSON.stringify(meshData.groups));
-        }
+        const geometry = unpackGeometry(meshData);
 
         const modified = await simplifyMesh(geometry, optimizationConfig);
+        const { data, transferables } = packGeometry(geometry);
 
-        const resultData = {
+        self.postMessage({
             modified,
-            geometry: {
-                attributes: {
-                    position: geometry.attributes.position.array,
-                    normal: geometry.attributes.normal ? geometry.attributes.normal.array : null,
-                    uv: geometry.attributes.uv ? geometry.attributes.uv.array : null
-                },
-                index: geometry.index ? geometry.index.array : null,
-                groups: geometry.groups
-            }
-        };
-
-        const transferables = [];
-        const seenBuffers = new Set();
-
-        const addUniqueBuffer = (buffer) => {
-            if (buffer && !seenBuffers.has(buffer)) {
-                seenBuffers.add(buffer);
-                transferables.push(buffer);
-            }
-        };
-
-        if (geometry.attributes.position && geometry.attributes.position.array) {
-            addUniqueBuffer(geometry.attributes.position.array.buffer);
-        }
-
-        if (geometry.attributes.normal && geometry.attributes.normal.array) {
-            addUniqueBuffer(geometry.attributes.normal.array.buffer);
-        }
-
-        if (geometry.attributes.uv && geometry.attributes.uv.array) {
-            addUniqueBuffer(geometry.attributes.uv.array.buffer);
-        }
-
-        if (geometry.index && geometry.index.array) {
-            addUniqueBuffer(geometry.index.array.buffer);
-        }
-
-        self.postMessage(resultData, transferables);
+            deviation: geometry.userData.surfaceDeviation || null,
+            skippedReason: geometry.userData.skippedReason || null,
+            materialTriangles: geometry.userData.materialTriangles || null,
+            geometry: data
+        }, transferables);
 
     } catch (error) {
         self.postMessage({
@@ -323,4 +352,4 @@ self.onmessage = async function (e) {
             stack: error.stack
         });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+// Geometric error between two triangle surfaces, measured as one-sided and
+// symmetric Hausdorff distance plus RMS distance. Points are sampled on one
+// surface (every vertex plus area-weighted random points from a fixed seed, so
+// results are repeatable) and matched to the closest point on the other surface
+// through a uniform grid of triangles.
+
+const DEFAULT_SAMPLE_COUNT = 20000;
+
+// Small deterministic PRNG (mulberry32) so repeated runs sample the same points
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function readTriangles(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index ? geometry.index.array : null;
+  const triangleCount = Math.floor((index ? index.length : position.count) / 3);
+  const triangles = new Float64Array(triangleCount * 9);
+
+  for (let t = 0; t < triangleCount; t++) {
+    for (let k = 0; k < 3; k++) {
+      const v = index ? index[t * 3 + k] : t * 3 + k;
+      triangles[t * 9 + k * 3] = position.getX(v);
+      triangles[t * 9 + k * 3 + 1] = position.getY(v);
+      triangles[t * 9 + k * 3 + 2] = position.getZ(v);
+    }
+  }
+  return triangles;
+}
+
+function triangleArea(triangles, t) {
+  const o = t * 9;
+  const ux = triangles[o + 3] - triangles[o];
+  const uy = triangles[o + 4] - triangles[o + 1];
+  const uz = triangles[o + 5] - triangles[o + 2];
+  const vx = triangles[o + 6] - triangles[o];
+  const vy = triangles[o + 7] - triangles[o + 1];
+  const vz = triangles[o + 8] - triangles[o + 2];
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+  return 0.5 * Math.sqrt(cx * cx + cy * cy + cz * cz);
+}
+
+// Vertices plus area-weighted random surface points, capped at sampleCount
+function sampleSurface(triangles, sampleCount, random) {
+  const triangleCount = triangles.length / 9;
+  const cumulativeArea = new Float64Array(triangleCount);
+  let totalArea = 0;
+  for (let t = 0; t < triangleCount; t++) {
+    totalArea += triangleArea(triangles, t);
+    cumulativeArea[t] = totalArea;
+  }
+
+  const points = [];
+  const cornerStride = Math.max(1, Math.ceil((triangleCount * 3) / Math.max(1, sampleCount / 2)));
+  for (let c = 0; c < triangleCount * 3; c += cornerStride) {
+    points.push(triangles[c * 3], triangles[c * 3 + 1], triangles[c * 3 + 2]);
+  }
+
+  const areaSamples = Math.max(0, sampleCount - points.length / 3);
+  if (totalArea > 0) {
+    for (let s = 0; s < areaSamples; s++) {
+      const target = random() * totalArea;
+      let low = 0;
+      let high = triangleCount - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulativeArea[mid] < target) low = mid + 1;
+        else high = mid;
+      }
+
+      let r1 = random();
+      let r2 = random();
+      if (r1 + r2 > 1) {
+        r1 = 1 - r1;
+        r2 = 1 - r2;
+      }
+      const o = low * 9;
+      for (let k = 0; k < 3; k++) {
+        points.push(
+          triangles[o + k] + r1 * (triangles[o + 3 + k] - triangles[o + k]) + r2 * (triangles[o + 6 + k] - triangles[o + k])
+        );
+      }
+    }
+  }
+
+  return new Float64Array(points);
+}
+
+// Uniform grid over triangle bounding boxes for nearest-surface queries
+class TriangleGrid {
+  constructor(triangles, bounds) {
+    this.triangles = triangles;
+    this.triangleCount = triangles.length / 9;
+    this.min = bounds.min.clone();
+    const size = bounds.getSize(new THREE.Vector3());
+    const extent = Math.max(size.x, size.y, size.z, 1e-12);
+
+    const resolution = Math.max(1, Math.min(128, Math.round(Math.cbrt(this.triangleCount) * 1.5)));
+    this.cellSize = extent / resolution;
+    this.dims = [
+      Math.max(1, Math.ceil(size.x / this.cellSize) + 1),
+      Math.max(1, Math.ceil(size.y / this.cellSize) + 1),
+      Math.max(1, Math.ceil(size.z / this.cellSize) + 1),
+    ];
+    this.cells = new Map();
+
+    for (let t = 0; t < this.triangleCount; t++) {
+      const o = t * 9;
+      const lo = [Infinity, Infinity, Infinity];
+      const hi = [-Infinity, -Infinity, -Infinity];
+      for (let k = 0; k < 3; k++) {
+        for (let axis = 0; axis < 3; axis++) {
+          lo[axis] = Math.min(lo[axis], triangles[o + k * 3 + axis]);
+          hi[axis] = Math.max(hi[axis], triangles[o + k * 3 + axis]);
+        }
+      }
+      const [x0, y0, z0] = this.cellOf(lo[0], lo[1], lo[2]);
+      const [x1, y1, z1] = this.cellOf(hi[0], hi[1], hi[2]);
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          for (let z = z0; z <= z1; z++) {
+            const key = this.key(x, y, z);
+            let cell = this.cells.get(key);
+            if (!cell) {
+              cell = [];
+              this.cells.set(key, cell);
+            }
+            cell.push(t);
+          }
+        }
+      }
+    }
+
+    this.triangle = new THREE.Triangle();
+    this.query = new THREE.Vector3();
+    this.closest = new THREE.Vector3();
+    this.stamp = new Uint32Array(this.triangleCount);
+    this.queryId = 0;
+  }
+
+  cellOf(x, y, z) {
+    return [
+      Math.min(this.dims[0] - 1, Math.max(0, Math.floor((x - this.min.x) / this.cellSize))),
+      Math.min(this.dims[1] - 1, Math.max(0, Math.floor((y - this.min.y) / this.cellSize))),
+      Math.min(this.dims[2] - 1, Math.max(0, Math.floor((z - this.min.z) / this.cellSize))),
+    ];
+  }
+
+  key(x, y, z) {
+    return (x * this.dims[1] + y) * this.dims[2] + z;
+  }
+
+  // Searches shells of cells outward until no closer triangle can exist
+  distanceTo(x, y, z) {
+    const [cx, cy, cz] = this.cellOf(x, y, z);
+    const maxRing = Math.max(...this.dims);
+    this.query.set(x, y, z);
+    this.queryId++;
+    let best = Infinity;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let ix = cx - ring; ix <= cx + ring; ix++) {
+        if (ix < 0 || ix >= this.dims[0]) continue;
+        for (let iy = cy - ring; iy <= cy + ring; iy++) {
+          if (iy < 0 || iy >= this.dims[1]) continue;
+          // Inside the x/y faces of the shell only the two z caps are new
+          const onSide = Math.abs(ix - cx) === ring || Math.abs(iy - cy) === ring;
+          const zStep = onSide || ring === 0 ? 1 : ring * 2;
+          for (let iz = cz - ring; iz <= cz + ring; iz += zStep) {
+            if (iz < 0 || iz >= this.dims[2]) continue;
+            const cell = this.cells.get(this.key(ix, iy, iz));
+            if (!cell) continue;
+            for (const t of cell) {
+              if (this.stamp[t] === this.queryId) continue;
+              this.stamp[t] = this.queryId;
+              const o = t * 9;
+              const tris = this.triangles;
+              this.triangle.a.set(tris[o], tris[o + 1], tris[o + 2]);
+              this.triangle.b.set(tris[o + 3], tris[o + 4], tris[o + 5]);
+              this.triangle.c.set(tris[o + 6], tris[o + 7], tris[o + 8]);
+              this.triangle.closestPointToPoint(this.query, this.closest);
+              best = Math.min(best, this.closest.distanceTo(this.query));
+            }
+          }
+        }
+      }
+      // Anything outside this shell is at least `ring` cells away
+      if (best <= ring * this.cellSize) break;
+    }
+    return best;
+  }
+}
+
+function oneSidedDistance(points, grid) {
+  let max = 0;
+  let sumSquared = 0;
+  const count = points.length / 3;
+  for (let i = 0; i < count; i++) {
+    const d = grid.distanceTo(points[i * 3], points[i * 3 + 1], points[i * 3 + 2]);
+    if (d > max) max = d;
+    sumSquared += d * d;
+  }
+  return { max, sumSquared, count };
+}
+
+/*
+ * @param {THREE.BufferGeometry} originalGeometry - Reference surface
+ * @param {THREE.BufferGeometry} simplifiedGeometry - Surface being judged
+ * @param {Object} [options]
+ * @param {number} [options.sampleCount=20000] - Points sampled on each surface
+ * @param {number} [options.seed=1] - Seed for the area-weighted samples
+ * @returns {Object} - Absolute and bbox-diagonal-relative Hausdorff and RMS distances
+ */
+export function measureSurfaceDeviation(originalGeometry, simplifiedGeometry, options = {}) {
+  const sampleCount = options.sampleCount ?? DEFAULT_SAMPLE_COUNT;
+  const random = createRandom(options.seed ?? 1);
+
+  const originalTriangles = readTriangles(originalGeometry);
+  const simplifiedTriangles = readTriangles(simplifiedGeometry);
+
+  const bounds = new THREE.Box3().setFromBufferAttribute(originalGeometry.attributes.position);
+  const diagonal = bounds.min.distanceTo(bounds.max);
+
+  if (originalTriangles.length === 0 || simplifiedTriangles.length === 0) {
+    return {
+      forwardHausdorff: Infinity,
+      backwardHausdorff: Infinity,
+      hausdorff: Infinity,
+      rms: Infinity,
+      diagonal,
+      relativeHausdorff: Infinity,
+      relativeRms: Infinity,
+    };
+  }
+
+  const simplifiedBounds = new THREE.Box3().setFromBufferAttribute(simplifiedGeometry.attributes.position);
+
+  // original -> simplified: how far the old surface now is from the new one
+  const forward = oneSidedDistance(
+    sampleSurface(originalTriangles, sampleCount, random),
+    new TriangleGrid(simplifiedTriangles, simplifiedBounds)
+  );
+  // simplified -> original: catches new geometry that bulges away from the source
+  const backward = oneSidedDistance(
+    sampleSurface(simplifiedTriangles, sampleCount, random),
+    new TriangleGrid(originalTriangles, bounds)
+  );
+
+  const hausdorff = Math.max(forward.max, backward.max);
+  const rms = Math.sqrt((forward.sumSquared + backward.sumSquared) / Math.max(1, forward.count + backward.count));
+  const scale = diagonal > 0 ? 1 / diagonal : 0;
+
+  return {
+    forwardHausdorff: forward.max,
+    backwardHausdorff: backward.max,
+    forwardRms: Math.sqrt(forward.sumSquared / Math.max(1, forward.count)),
+    backwardRms: Math.sqrt(backward.sumSquared / Math.max(1, backward.count)),
+    hausdorff,
+    rms,
+    diagonal,
+    relativeHausdorff: hausdorff * scale,
+    relativeRms: rms * scale,
+  };
+}
@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { resampleNormalMap, applyToksvigRoughness } from './normalMapFilter.js';
+
+// Maximum texture sizes by material slot, applied to the scene before export.
+// Each slot has its own limit on the longer side. Textures are scaled down keeping
+// their aspect ratio, so non-square textures stay non-square. Power-of-two rounding
+// is optional and applies to each side separately, so a 2:1 texture stays 2:1. A
+// texture used in several slots gets the largest of their limits. Overrides keyed
+// by texture name take precedence over the slot limit. Textures used as normal maps
+// are resampled as vectors (see normalMapFilter.js) and can raise the roughness of
+// their materials to make up for the detail they lose.
+
+export const TEXTURE_SLOTS = {
+  baseColor: { label: 'Base color', maps: ['map'] },
+  normal: { label: 'Normal', maps: ['normalMap', 'clearcoatNormalMap'] },
+  orm: { label: 'ORM (occlusion, roughness, metalness)', maps: ['aoMap', 'roughnessMap', 'metalnessMap'] },
+  emissive: { label: 'Emissive', maps: ['emissiveMap'] },
+  // Any other texture property of the material
+  other: { label: 'Other', maps: [] },
+};
+
+export const POWER_OF_TWO_MODES = {
+  keep: 'Keep proportions (any size)',
+  floor: 'Round each side down to a power of two',
+  nearest: 'Round each side to the nearest power of two',
+};
+
+export const DEFAULT_TEXTURE_SIZE_POLICY = {
+  slots: { baseColor: 2048, normal: 1024, orm: 512, emissive: 256, other: 1024 },
+  powerOfTwo: 'keep',
+  overrides: {}, // texture name -> maximum size, 0 to keep the original size
+  toksvig: false, // Raise roughness where downsized normal maps lost detail
+};
+
+const SLOT_BY_MAP = Object.fromEntries(
+  Object.entries(TEXTURE_SLOTS).flatMap(([slot, { maps }]) => maps.map((map) => [map, slot]))
+);
+
+function roundToPowerOfTwo(n, mode) {
+  if (mode === 'floor') return 2 ** Math.floor(Math.log2(n));
+  return 2 ** Math.round(Math.log2(n));
+}
+
+/*
+ * @param {number} width - Current width
+ * @param {number} height - Current height
+ * @param {number} maxSize - Limit for the longer side, 0 for no limit
+ * @param {string} powerOfTwo - Key of POWER_OF_TWO_MODES
+ * @returns {{width: number, height: number}} - Target size. Only 'nearest' rounding can make a
+ *   side larger than it was, and never past maxSize
+ */
+export function getTargetSize(width, height, maxSize, powerOfTwo = 'keep') {
+  const scale = maxSize > 0 ? Math.min(1, maxSize / Math.max(width, height)) : 1;
+  let targetWidth = Math.max(1, Math.round(width * scale));
+  let targetHeight = Math.max(1, Math.round(height * scale));
+  if (powerOfTwo !== 'keep') {
+    const limit = (side) => Math.min(side, maxSize > 0 ? maxSize : Infinity);
+    targetWidth = limit(roundToPowerOfTwo(targetWidth, powerOfTwo));
+    targetHeight = limit(roundToPowerOfTwo(targetHeight, powerOfTwo));
+  }
+  return { width: targetWidth, height: targetHeight };
+}
+
+function describeTexture(texture) {
+  return texture.name ? `"${texture.name}"` : 'Unnamed texture';
+}
+
+// Texture -> slots it is used in, across every mesh material in the scene
+function collectTextures(scene) {
+  const textures = new Map();
+  scene.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    for (const material of materials) {
+      for (const [property, value] of Object.entries(material)) {
+        // Environment maps aren't exported
+        if (!value || !value.isTexture || value.isCubeTexture) continue;
+        if (!textures.has(value)) textures.set(value, new Set());
+        textures.get(value).add(SLOT_BY_MAP[property] || 'other');
+      }
+    }
+  });
+  return textures;
+}
+
+// Roughness and normal maps line up texel for texel only when they share UVs
+function sameUvMapping(a, b) {
+  return (
+    a.channel === b.channel &&
+    a.offset.equals(b.offset) &&
+    a.repeat.equals(b.repeat) &&
+    a.center.equals(b.center) &&
+    a.rotation === b.rotation
+  );
+}
+
+function resizeImage(image, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+/*
+ * Raises the roughness of materials whose normal map was downsized, per texel, and bakes the
+ * roughness factor into the new map. Materials sharing a roughness map, normal map and factor
+ * share the adjusted map.
+ * @returns {string[]} - One line per adjusted or skipped material
+ */
+function adjustRoughness(scene, normalMaps) {
+  const adjustedMaps = new Map();
+  const done = new Set();
+  const changes = [];
+
+  scene.traverse((obj) => {
+    if (!obj.isMesh || !obj.material) return;
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    for (const material of materials) {
+      if (done.has(material) || !material.isMeshStandardMaterial || !normalMaps.has(material.normalMap)) continue;
+      done.add(material);
+      const name = material.name ? `"${material.name}"` : material.type;
+      const { normalMap, roughnessMap } = material;
+      if (roughnessMap && (roughnessMap.isCompressedTexture || roughnessMap.isDataTexture || !roughnessMap.image?.width)) {
+        changes.push(`Roughness of ${name} not adjusted: its roughness map can't be read`);
+        continue;
+      }
+      if (roughnessMap && !sameUvMapping(roughnessMap, normalMap)) {
+        changes.push(`Roughness of ${name} not adjusted: its roughness and normal maps use different UVs`);
+        continue;
+      }
+
+      const key = `${roughnessMap?.uuid}:${normalMap.uuid}:${material.roughness}`;
+      if (!adjustedMaps.has(key)) {
+        const { canvas, maxIncrease } = applyToksvigRoughness(roughnessMap?.image || null, material.roughness, normalMaps.get(normalMap));
+        let texture = null;
+        // Less than one 8-bit step isn't worth another texture
+        if (maxIncrease >= 1 / 255) {
+          texture = (roughnessMap || normalMap).clone();
+          texture.source = new THREE.Source(canvas);
+          texture.colorSpace = THREE.NoColorSpace;
+          texture.name = roughnessMap ? roughnessMap.name : `${normalMap.name || 'normal'}_roughness`;
+        }
+        adjustedMaps.set(key, { texture, maxIncrease });
+      }
+      const { texture, maxIncrease } = adjustedMaps.get(key);
+      if (!texture) continue;
+
+      // Occlusion and metalness packed in the same image move to the new one with it
+      if (roughnessMap && material.metalnessMap === roughnessMap) material.metalnessMap = texture;
+      if (roughnessMap && material.aoMap === roughnessMap) material.aoMap = texture;
+      material.roughnessMap = texture;
+      material.roughness = 1;
+      material.needsUpdate = true;
+      changes.push(`Roughness of ${name} raised by up to ${maxIncrease.toFixed(2)} for normal map detail lost in downsizing (Toksvig)`);
+    }
+  });
+  return changes;
+}
+
+/*
+ * Resizes the textures of every mesh in `scene` to the policy. A texture is resized once
+ * however many materials use it, and textures sharing an image share the resized one.
+ * @param {THREE.Object3D} scene - Scene about to be exported
+ * @param {Object} [policy] - slots (slot -> maximum size, 0 for no limit), powerOfTwo (key of
+ *   POWER_OF_TWO_MODES), overrides (texture name -> maximum size) and toksvig; see
+ *   DEFAULT_TEXTURE_SIZE_POLICY
+ * @returns {{changes: string[], resized: number}} - One line per resized texture, plus a summary
+ *   of what was kept and overrides that matched no texture
+ */
+export function applyTextureSizePolicy(scene, policy = DEFAULT_TEXTURE_SIZE_POLICY) {
+  const slots = { ...DEFAULT_TEXTURE_SIZE_POLICY.slots, ...policy.slots };
+  const overrides = policy.overrides || {};
+  const powerOfTwo = policy.powerOfTwo || 'keep';
+  const resizedImages = new Map(); // image -> { 'filter:WxH': { canvas, lengths } }
+  const normalMaps = new Map(); // resized normal map texture -> filtered vector lengths
+  const usedOverrides = new Set();
+  const changes = [];
+  const skipped = [];
+  let resized = 0;
+  let kept = 0;
+
+  for (const [texture, textureSlots] of collectTextures(scene)) {
+    const image = texture.image;
+    if (texture.isCompressedTexture || texture.isDataTexture || !image?.width || !image?.height) {
+      skipped.push(describeTexture(texture));
+      continue;
+    }
+
+    const slotNames = [...textureSlots];
+    const hasOverride = Object.prototype.hasOwnProperty.call(overrides, texture.name);
+    let maxSize;
+    if (hasOverride) {
+      maxSize = overrides[texture.name];
+      usedOverrides.add(texture.name);
+    } else {
+      const limits = slotNames.map((slot) => slots[slot]);
+      // 0 means the slot has no limit
+      maxSize = limits.includes(0) ? 0 : Math.max(...limits);
+    }
+    // An override of 0 keeps the texture as it is, rounding included
+    if (hasOverride && maxSize === 0) {
+      kept++;
+      continue;
+    }
+
+    const target = getTargetSize(image.width, image.height, maxSize, powerOfTwo);
+    if (target.width === image.width && target.height === image.height) {
+      kept++;
+      continue;
+    }
+
+    const isNormalMap = textureSlots.has('normal');
+    const key = `${isNormalMap ? 'normal' : 'color'}:${target.width}x${target.height}`;
+    if (!resizedImages.has(image)) resizedImages.set(image, {});
+    const sizes = resizedImages.get(image);
+    if (!sizes[key]) {
+      sizes[key] = isNormalMap
+        ? { ...resampleNormalMap(image, target.width, target.height), ...target }
+        : { canvas: resizeImage(image, target.width, target.height) };
+    }
+    // A new source, as other textures can share this one's
+    texture.source = new THREE.Source(sizes[key].canvas);
+    texture.needsUpdate = true;
+    if (isNormalMap) normalMaps.set(texture, sizes[key]);
+    resized++;
+
+    const usage = slotNames.map((slot) => TEXTURE_SLOTS[slot].label.toLowerCase()).join(', ');
+    const source = hasOverride ? `override ${maxSize}` : `${usage}, max ${maxSize || 'unlimited'}`;
+    changes.push(`${describeTexture(texture)} (${source}): ${image.width}×${image.height} → ${target.width}×${target.height}`);
+  }
+
+  if (normalMaps.size > 0) changes.push(`Resampled ${normalMaps.size} normal maps as vectors and renormalized them`);
+  if (policy.toksvig && normalMaps.size > 0) changes.push(...adjustRoughness(scene, normalMaps));
+  if (kept > 0) changes.push(`Kept ${kept} textures at their size`);
+  if (skipped.length > 0) changes.push(`Not resized (compressed or raw data): ${skipped.join(', ')}`);
+  const unusedOverrides = Object.keys(overrides).filter((name) => !usedOverrides.has(name));
+  if (unusedOverrides.length > 0) changes.push(`No texture named ${unusedOverrides.map((name) => `"${name}"`).join(', ')}`);
+  return { changes, resized };
+}
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+
+// Splits a scene-wide triangle budget across meshes.
+//
+// Each mesh gets an importance weight (its world-space surface area, or its
+// projected size when the whole scene is framed) multiplied by how curved it
+// is, since flat meshes lose nothing when reduced while curved ones do. The
+// curvature term integrates dihedral angle over edge length, so it describes
+// the shape rather than how finely it happens to be tessellated.
+// Approximation error of a mesh falls roughly as weight / triangles, so the
+// total error is minimised by giving each mesh a share proportional to
+// sqrt(weight). Meshes whose share exceeds their current count keep it, and the
+// surplus is handed to the others.
+
+const MIN_TRIANGLES_PER_MESH = 12;
+
+function meshTriangleCount(geometry) {
+  return Math.floor(geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3);
+}
+
+// World-space surface area, bounding radius and size-independent curvature (0 = flat, ~1 = sphere)
+function measureMesh(mesh) {
+  const geometry = mesh.geometry;
+  const position = geometry.attributes.position;
+  const index = geometry.index ? geometry.index.array : null;
+  const triangleCount = meshTriangleCount(geometry);
+
+  mesh.updateWorldMatrix(true, false);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const cb = new THREE.Vector3();
+  const faceNormals = new Float32Array(triangleCount * 3);
+  const edgeFaces = new Map();
+  const edgeLengths = new Map();
+  const vertexKey = (v) => `${position.getX(v)},${position.getY(v)},${position.getZ(v)}`;
+  let area = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const ids = [0, 1, 2].map((k) => (index ? index[t * 3 + k] : t * 3 + k));
+    a.fromBufferAttribute(position, ids[0]).applyMatrix4(mesh.matrixWorld);
+    b.fromBufferAttribute(position, ids[1]).applyMatrix4(mesh.matrixWorld);
+    c.fromBufferAttribute(position, ids[2]).applyMatrix4(mesh.matrixWorld);
+    cb.subVectors(c, b).cross(ab.subVectors(a, b));
+    const length = cb.length();
+    area += length / 2;
+    if (length > 0) cb.divideScalar(length);
+    cb.toArray(faceNormals, t * 3);
+
+    // Key edges by position so split seams still count as neighbours
+    const keys = ids.map(vertexKey);
+    for (let e = 0; e < 3; e++) {
+      const k1 = keys[e];
+      const k2 = keys[(e + 1) % 3];
+      const key = k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
+      const faces = edgeFaces.get(key);
+      if (faces) {
+        faces.push(t);
+      } else {
+        edgeFaces.set(key, [t]);
+        const corners = [a, b, c];
+        edgeLengths.set(key, corners[e].distanceTo(corners[(e + 1) % 3]));
+      }
+    }
+  }
+
+  let bend = 0;
+  for (const [key, faces] of edgeFaces) {
+    if (faces.length !== 2) continue;
+    const [f1, f2] = faces;
+    const dot =
+      faceNormals[f1 * 3] * faceNormals[f2 * 3] +
+      faceNormals[f1 * 3 + 1] * faceNormals[f2 * 3 + 1] +
+      faceNormals[f1 * 3 + 2] * faceNormals[f2 * 3 + 2];
+    bend += edgeLengths.get(key) * Math.acos(Math.min(1, Math.max(-1, dot)));
+  }
+
+  const bounds = new THREE.Box3().setFromObject(mesh);
+  const radius = bounds.isEmpty() ? 0 : bounds.getBoundingSphere(new THREE.Sphere()).radius;
+
+  // Mean curvature (bend per unit area) scaled by the mesh's own size
+  const curvature = area > 0 ? ((bend / area) * radius) / (2 * Math.PI) : 0;
+
+  return { area, radius, curvature, triangleCount };
+}
+
+/*
+ * @param {THREE.Mesh[]} meshes - Meshes sharing the budget
+ * @param {number} budget - Target total triangle count
+ * @param {Object} [options]
+ * @param {'surface-area'|'screen-size'} [options.weighting='screen-size'] - Importance measure
+ * @returns {Map<THREE.Mesh, {original: number, allocated: number, importance: number}>}
+ */
+export function allocateTriangleBudget(meshes, budget, options = {}) {
+  const weighting = options.weighting || 'screen-size';
+  const allocations = new Map();
+  const entries = meshes
+    .filter((mesh) => mesh.geometry && mesh.geometry.attributes.position)
+    .map((mesh) => ({ mesh, ...measureMesh(mesh) }));
+
+  if (entries.length === 0) return allocations;
+
+  // Projected area when the whole scene fills the view scales with radius^2
+  const sceneBounds = new THREE.Box3();
+  entries.forEach((entry) => sceneBounds.expandByObject(entry.mesh));
+  const sceneRadius = Math.max(sceneBounds.getBoundingSphere(new THREE.Sphere()).radius, 1e-12);
+
+  for (const entry of entries) {
+    const size = weighting === 'surface-area' ? entry.area : Math.pow(entry.radius / sceneRadius, 2);
+    // Flat meshes still need a handful of triangles, hence the small floor on curvature
+    entry.importance = size * (entry.curvature + 0.001);
+    entry.share = Math.sqrt(entry.importance);
+    entry.allocated = 0;
+  }
+
+  // Water-filling: meshes that would receive more than they have are capped, the rest share what remains
+  let remainingBudget = Math.max(budget, 0);
+  let open = entries.slice();
+  while (open.length > 0) {
+    const totalShare = open.reduce((sum, entry) => sum + entry.share, 0);
+    const capped = open.filter((entry) => {
+      const proposed = totalShare > 0 ? (remainingBudget * entry.share) / totalShare : remainingBudget / open.length;
+      return proposed >= entry.triangleCount;
+    });
+
+    if (capped.length === 0) {
+      for (const entry of open) {
+        const proposed = totalShare > 0 ? (remainingBudget * entry.share) / totalShare : remainingBudget / open.length;
+        entry.allocated = Math.floor(proposed);
+      }
+      break;
+    }
+
+    for (const entry of capped) {
+      entry.allocated = entry.triangleCount;
+      remainingBudget -= entry.triangleCount;
+    }
+    open = open.filter((entry) => !capped.includes(entry));
+  }
+
+  for (const entry of entries) {
+    allocations.set(entry.mesh, {
+      original: entry.triangleCount,
+      allocated: Math.min(entry.triangleCount, Math.max(MIN_TRIANGLES_PER_MESH, entry.allocated)),
+      importance: entry.importance,
+    });
+  }
+  return allocations;
+}
@@ -0,0 +1,319 @@
+import * as THREE from 'three';
+
+// Reorders an indexed geometry for the GPU without changing what it draws:
+//
+// 1. Triangles are reordered for the post-transform vertex cache with Tipsify
+//    (Sander, Nehab & Barczak 2007), which fans around recently used vertices.
+// 2. The result is cut into small clusters that each stay cache-efficient on
+//    their own, and the clusters are sorted so outward-facing ones come first,
+//    which lets early-z reject more of what is drawn later (overdraw).
+// 3. Vertices are renumbered in first-use order so attribute fetches walk
+//    memory forwards.
+//
+// Each material group is reordered on its own, so groups keep their ranges.
+// ACMR is cache misses per triangle (0.5 is ideal for large meshes, 3 is worst);
+// ATVR is cache misses per referenced vertex (1 is ideal).
+
+const DEFAULT_CACHE_SIZE = 16;
+// How much worse than the cache-optimized order a cluster may get for overdraw's sake
+const DEFAULT_OVERDRAW_THRESHOLD = 1.05;
+
+/*
+ * @param {ArrayLike<number>} index - Triangle list
+ * @param {number} [cacheSize=16] - Simulated FIFO cache entries
+ * @returns {{acmr: number, atvr: number}}
+ */
+export function analyzeVertexCache(index, cacheSize = DEFAULT_CACHE_SIZE) {
+  const triangleCount = Math.floor(index.length / 3);
+  if (triangleCount === 0) return { acmr: 0, atvr: 0 };
+
+  // A vertex is in the FIFO while fewer than cacheSize misses happened since it was loaded
+  const loadedAt = new Map();
+  let misses = 0;
+  for (let i = 0; i < triangleCount * 3; i++) {
+    const v = index[i];
+    const time = loadedAt.get(v);
+    if (time === undefined || misses - time >= cacheSize) {
+      loadedAt.set(v, misses);
+      misses++;
+    }
+  }
+
+  return { acmr: misses / triangleCount, atvr: misses / loadedAt.size };
+}
+
+// Tipsify over one triangle range; returns the reordered triangle list
+function tipsify(index, cacheSize) {
+  const triangleCount = Math.floor(index.length / 3);
+  let vertexCount = 0;
+  for (let i = 0; i < index.length; i++) vertexCount = Math.max(vertexCount, index[i] + 1);
+
+  // Vertex -> triangle adjacency in CSR form
+  const liveCount = new Uint32Array(vertexCount);
+  for (let i = 0; i < triangleCount * 3; i++) liveCount[index[i]]++;
+  const adjacencyStart = new Uint32Array(vertexCount + 1);
+  for (let v = 0; v < vertexCount; v++) adjacencyStart[v + 1] = adjacencyStart[v] + liveCount[v];
+  const adjacency = new Uint32Array(triangleCount * 3);
+  const fill = adjacencyStart.slice(0, vertexCount);
+  for (let t = 0; t < triangleCount; t++) {
+    for (let k = 0; k < 3; k++) adjacency[fill[index[t * 3 + k]]++] = t;
+  }
+
+  const cacheTime = new Int32Array(vertexCount);
+  const emitted = new Uint8Array(triangleCount);
+  const deadEnd = [];
+  const output = new Uint32Array(triangleCount * 3);
+  let outputLength = 0;
+  let time = cacheSize + 1;
+  let cursor = 0;
+  let fanning = vertexCount > 0 ? 0 : -1;
+
+  const skipDeadEnd = () => {
+    while (deadEnd.length > 0) {
+      const v = deadEnd.pop();
+      if (liveCount[v] > 0) return v;
+    }
+    while (cursor < vertexCount) {
+      if (liveCount[cursor] > 0) return cursor;
+      cursor++;
+    }
+    return -1;
+  };
+
+  while (fanning >= 0) {
+    const candidates = [];
+    for (let a = adjacencyStart[fanning]; a < adjacencyStart[fanning + 1]; a++) {
+      const t = adjacency[a];
+      if (emitted[t]) continue;
+      emitted[t] = 1;
+      for (let k = 0; k < 3; k++) {
+        const v = index[t * 3 + k];
+        output[outputLength++] = v;
+        deadEnd.push(v);
+        candidates.push(v);
+        liveCount[v]--;
+        if (time - cacheTime[v] > cacheSize) {
+          cacheTime[v] = time;
+          time++;
+        }
+      }
+    }
+
+    // Prefer the candidate that will still be in the cache after its remaining fans are emitted
+    let next = -1;
+    let bestPriority = -1;
+    for (const v of candidates) {
+      if (liveCount[v] === 0) continue;
+      let priority = 0;
+      if (time - cacheTime[v] + 2 * liveCount[v] <= cacheSize) priority = time - cacheTime[v];
+      if (priority > bestPriority) {
+        bestPriority = priority;
+        next = v;
+      }
+    }
+    fanning = next === -1 ? skipDeadEnd() : next;
+  }
+
+  return output;
+}
+
+// FIFO cache simulation that can be reset to cold; returns misses for one triangle
+function createCacheSimulator(index, cacheSize) {
+  const loadedAt = new Map();
+  let misses = 0;
+  return {
+    reset() {
+      loadedAt.clear();
+      misses = 0;
+    },
+    triangle(t) {
+      let triangleMisses = 0;
+      for (let k = 0; k < 3; k++) {
+        const v = index[t * 3 + k];
+        const loaded = loadedAt.get(v);
+        if (loaded === undefined || misses - loaded >= cacheSize) {
+          loadedAt.set(v, misses);
+          misses++;
+          triangleMisses++;
+        }
+      }
+      return triangleMisses;
+    },
+  };
+}
+
+// Cuts an ordered triangle list into clusters that can be drawn in any order. Hard cuts
+// go where all three vertices miss the cache anyway; each hard cluster is then cut again
+// wherever drawing it from a cold cache so far costs at most `threshold` times the
+// cluster's average ACMR, so reordering clusters barely affects the cache.
+function findClusters(index, cacheSize, threshold) {
+  const triangleCount = Math.floor(index.length / 3);
+  const cache = createCacheSimulator(index, cacheSize);
+
+  const hard = [0];
+  for (let t = 0; t < triangleCount; t++) {
+    if (cache.triangle(t) === 3 && t > 0) hard.push(t);
+  }
+
+  const clusters = [];
+  hard.forEach((start, i) => {
+    const end = i + 1 < hard.length ? hard[i + 1] : triangleCount;
+    cache.reset();
+    let clusterMisses = 0;
+    for (let t = start; t < end; t++) clusterMisses += cache.triangle(t);
+    const limit = (threshold * clusterMisses) / (end - start);
+
+    cache.reset();
+    let softStart = start;
+    let misses = 0;
+    clusters.push(start);
+    for (let t = start; t < end; t++) {
+      misses += cache.triangle(t);
+      if (t + 1 < end && misses <= limit * (t + 1 - softStart)) {
+        clusters.push(t + 1);
+        softStart = t + 1;
+        misses = 0;
+        cache.reset();
+      }
+    }
+  });
+  return clusters;
+}
+
+// Sorts clusters by how far they face away from the mesh centre, outermost first
+function sortClustersForOverdraw(index, clusters, position) {
+  const triangleCount = Math.floor(index.length / 3);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+
+  const meshCentroid = new THREE.Vector3();
+  let meshArea = 0;
+  const stats = clusters.map((start, i) => {
+    const end = i + 1 < clusters.length ? clusters[i + 1] : triangleCount;
+    const centroid = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    let area = 0;
+    for (let t = start; t < end; t++) {
+      a.fromBufferAttribute(position, index[t * 3]);
+      b.fromBufferAttribute(position, index[t * 3 + 1]);
+      c.fromBufferAttribute(position, index[t * 3 + 2]);
+      cross.subVectors(c, b).cross(ab.subVectors(a, b));
+      const triangleArea = cross.length() / 2;
+      normal.add(cross);
+      centroid.addScaledVector(a.add(b).add(c), triangleArea / 3);
+      area += triangleArea;
+    }
+    meshCentroid.addScaledVector(centroid, 1);
+    meshArea += area;
+    if (area > 0) centroid.divideScalar(area);
+    return { start, end, centroid, normal: normal.normalize() };
+  });
+  if (meshArea > 0) meshCentroid.divideScalar(meshArea);
+
+  stats.forEach((cluster) => {
+    cluster.key = cluster.normal.dot(a.subVectors(cluster.centroid, meshCentroid));
+  });
+  // Stable on ties so equal clusters keep their cache-optimized order
+  stats.sort((x, y) => y.key - x.key || x.start - y.start);
+
+  const sorted = new Uint32Array(index.length);
+  let offset = 0;
+  for (const cluster of stats) {
+    sorted.set(index.subarray(cluster.start * 3, cluster.end * 3), offset);
+    offset += (cluster.end - cluster.start) * 3;
+  }
+  return sorted;
+}
+
+// Copies raw values in the new vertex order, de-interleaving where needed
+function reorderAttribute(attribute, newToOld) {
+  const { itemSize } = attribute;
+  const source = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+  const stride = attribute.isInterleavedBufferAttribute ? attribute.data.stride : itemSize;
+  const offset = attribute.isInterleavedBufferAttribute ? attribute.offset : 0;
+  const array = new source.constructor(newToOld.length * itemSize);
+
+  for (let v = 0; v < newToOld.length; v++) {
+    const from = newToOld[v] * stride + offset;
+    for (let c = 0; c < itemSize; c++) {
+      array[v * itemSize + c] = source[from + c];
+    }
+  }
+
+  const reordered = new THREE.BufferAttribute(array, itemSize, attribute.normalized);
+  reordered.name = attribute.name;
+  return reordered;
+}
+
+/*
+ * Reorders triangles and vertices of an indexed geometry in place.
+ * @param {THREE.BufferGeometry} geometry - Indexed triangle geometry
+ * @param {Object} [options]
+ * @param {number} [options.cacheSize=16] - Post-transform cache size to optimize for
+ * @param {number} [options.overdrawThreshold=1.05] - Allowed ACMR increase when sorting clusters
+ * @returns {{before: {acmr: number, atvr: number}, after: {acmr: number, atvr: number}} | null} -
+ *   Cache statistics, or null for non-indexed geometry, which is left untouched
+ */
+export function optimizeVertexOrder(geometry, options = {}) {
+  const cacheSize = options.cacheSize ?? DEFAULT_CACHE_SIZE;
+  const overdrawThreshold = options.overdrawThreshold ?? DEFAULT_OVERDRAW_THRESHOLD;
+  if (!geometry.index || !geometry.attributes.position) return null;
+
+  const index = geometry.index.array;
+  const before = analyzeVertexCache(index, cacheSize);
+
+  // Each group is reordered within its own range; overlapping groups are treated as one range
+  const ranges = geometry.groups.length > 0
+    ? geometry.groups
+        .map((group) => ({ start: group.start, end: Math.min(index.length, group.start + group.count) }))
+        .sort((x, y) => x.start - y.start)
+    : [{ start: 0, end: index.length }];
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start < last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ ...range });
+  }
+
+  const ordered = new Uint32Array(index);
+  for (const { start, end } of merged) {
+    const triangleStart = start - (start % 3);
+    const triangleEnd = end - (end % 3);
+    if (triangleEnd - triangleStart < 6) continue;
+
+    const cacheOrdered = tipsify(ordered.subarray(triangleStart, triangleEnd), cacheSize);
+    const clusters = findClusters(cacheOrdered, cacheSize, overdrawThreshold);
+    ordered.set(sortClustersForOverdraw(cacheOrdered, clusters, geometry.attributes.position), triangleStart);
+  }
+
+  // Renumber vertices by first use; unreferenced vertices move to the end
+  const vertexCount = geometry.attributes.position.count;
+  const oldToNew = new Int32Array(vertexCount).fill(-1);
+  const newToOld = new Uint32Array(vertexCount);
+  let next = 0;
+  for (let i = 0; i < ordered.length; i++) {
+    const v = ordered[i];
+    if (oldToNew[v] === -1) {
+      oldToNew[v] = next;
+      newToOld[next++] = v;
+    }
+    ordered[i] = oldToNew[v];
+  }
+  for (let v = 0; v < vertexCount; v++) {
+    if (oldToNew[v] === -1) newToOld[next++] = v;
+  }
+
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    geometry.setAttribute(name, reorderAttribute(attribute, newToOld));
+  }
+  for (const [name, targets] of Object.entries(geometry.morphAttributes)) {
+    geometry.morphAttributes[name] = targets.map((target) => reorderAttribute(target, newToOld));
+  }
+  const IndexArray = vertexCount > 65535 ? Uint32Array : geometry.index.array.constructor;
+  geometry.setIndex(new THREE.BufferAttribute(new IndexArray(ordered), 1));
+
+  return { before, after: analyzeVertexCache(ordered, cacheSize) };
+}
@@ -0,0 +1,187 @@
+import { hashBytes, pruneGlb, readGlb, writeGlb } from './glbContainer.js';
+
+// Re-encodes the PNG/JPEG images embedded in an exported GLB as WebP or AVIF and
+// points textures at them through EXT_texture_webp / EXT_texture_avif. Encoding
+// uses the browser's own canvas encoders. The original image can be kept as the
+// texture's fallback source for viewers without the extension; without it the
+// extension is required.
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Vendor/EXT_texture_webp
+// https://github.com/KhronosGroup/glTF/tree/main/extensions/2.0/Vendor/EXT_texture_avif
+
+export const IMAGE_OUTPUT_FORMATS = {
+  keep: 'Keep PNG/JPEG',
+  webp: 'WebP (EXT_texture_webp)',
+  avif: 'AVIF (EXT_texture_avif)',
+};
+
+const FORMATS = {
+  webp: { mimeType: 'image/webp', extension: 'EXT_texture_webp' },
+  avif: { mimeType: 'image/avif', extension: 'EXT_texture_avif' },
+};
+
+const SOURCE_MIME_TYPES = ['image/png', 'image/jpeg'];
+
+// Where glTF reads a texture's alpha: as coverage from the base color of MASK and BLEND
+// materials, and as data from these extension textures
+const ALPHA_DATA_TEXTURES = {
+  specularTexture: 'KHR_materials_specular strength',
+  sheenRoughnessTexture: 'KHR_materials_sheen roughness',
+  specularGlossinessTexture: 'KHR_materials_pbrSpecularGlossiness glossiness',
+};
+
+// Image index -> 'coverage' or the data its alpha holds, for images whose alpha glTF reads
+function findAlphaUses(json) {
+  const uses = new Map();
+  const add = (info, use) => {
+    const source = info && json.textures?.[info.index]?.source;
+    // Data takes precedence: it has to survive exactly
+    if (source !== undefined && (!uses.has(source) || uses.get(source) === 'coverage')) uses.set(source, use);
+  };
+  for (const material of json.materials || []) {
+    if (material.alphaMode === 'MASK' || material.alphaMode === 'BLEND') {
+      add(material.pbrMetallicRoughness?.baseColorTexture, 'coverage');
+      add(material.extensions?.KHR_materials_pbrSpecularGlossiness?.diffuseTexture, 'coverage');
+    }
+    for (const extension of Object.values(material.extensions || {})) {
+      for (const [key, use] of Object.entries(ALPHA_DATA_TEXTURES)) add(extension[key], use);
+    }
+  }
+  return uses;
+}
+
+function isOpaque(pixels) {
+  for (let i = 3; i < pixels.length; i += 4) {
+    if (pixels[i] !== 255) return false;
+  }
+  return true;
+}
+
+/*
+ * Encodes with an OffscreenCanvas, without color space conversion so normal and data
+ * maps keep their values. 2D canvases store premultiplied alpha, so color survives
+ * only where alpha is 255 or where alpha is coverage. A fully opaque image is encoded
+ * without alpha, which is smaller; an image with alpha that isn't coverage is refused.
+ * @param {Uint8Array} bytes - PNG or JPEG data
+ * @param {string} sourceMimeType - Its MIME type
+ * @param {string} mimeType - 'image/webp' or 'image/avif'
+ * @param {number} quality - 0 to 1
+ * @param {string} [alphaUse] - 'coverage', or what glTF reads from the alpha channel when it
+ *   holds data; undefined where glTF doesn't read alpha
+ * @returns {Promise<{bytes: Uint8Array, withAlpha: boolean}>}
+ */
+export async function encodeImageWithCanvas(bytes, sourceMimeType, mimeType, quality, alphaUse) {
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: sourceMimeType }), {
+    colorSpaceConversion: 'none',
+    premultiplyAlpha: 'none',
+  });
+  const { width, height } = bitmap;
+  let canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  // Alpha values come back exact; only color is affected by premultiplication
+  const withAlpha = !isOpaque(canvas.getContext('2d').getImageData(0, 0, width, height).data);
+  if (withAlpha && alphaUse !== 'coverage') {
+    bitmap.close();
+    throw new Error(
+      alphaUse
+        ? `alpha holds ${alphaUse}, which canvas encoding would premultiply`
+        : 'has partial alpha, which canvas encoding would premultiply into its color'
+    );
+  }
+  if (!withAlpha) {
+    canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d', { alpha: false }).drawImage(bitmap, 0, 0);
+  }
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: mimeType, quality });
+  // Canvases fall back to PNG for types they can't encode
+  if (blob.type !== mimeType) throw new Error(`this browser can't encode ${mimeType}`);
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), withAlpha };
+}
+
+/*
+ * @param {ArrayBuffer} glb - GLB with images in buffer views
+ * @param {Object} options - format ('webp' or 'avif'), quality (0 to 1), keepFallback to keep
+ *   the original image as fallback, cache: Map reused across calls so identical images are
+ *   encoded once, encode: replaces encodeImageWithCanvas
+ * @returns {Promise<{glb: ArrayBuffer, stats: Object}>} - stats: encoded and skipped images,
+ *   how many kept alpha as coverage, and byte sizes before and after
+ */
+export async function compressGlbImages(glb, options) {
+  const { mimeType, extension } = FORMATS[options.format];
+  const encode = options.encode || encodeImageWithCanvas;
+  const cache = options.cache || new Map();
+  const { json, bin } = readGlb(glb);
+  const stats = { format: options.format, encoded: 0, withAlpha: 0, skipped: [], bytesBefore: 0, bytesAfter: 0 };
+  if (!bin || !json.images || !json.textures) return { glb, stats };
+
+  const alphaUses = findAlphaUses(json);
+  const used = new Set(json.textures.map((texture) => texture.source).filter((source) => source !== undefined));
+  const replacements = new Map(); // original image -> encoded image
+  const chunks = [];
+  let length = bin.byteLength;
+
+  for (const index of used) {
+    const image = json.images[index];
+    const name = image.name || `image ${index}`;
+    if (image.bufferView === undefined || !SOURCE_MIME_TYPES.includes(image.mimeType)) continue;
+
+    const view = json.bufferViews[image.bufferView];
+    const bytes = bin.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+    const alphaUse = alphaUses.get(index);
+    const key = `${mimeType}:${options.quality}:${alphaUse}:${hashBytes(bytes)}`;
+    let result = cache.get(key);
+    try {
+      if (!result) {
+        result = await encode(bytes, image.mimeType, mimeType, options.quality, alphaUse);
+        cache.set(key, result);
+      }
+    } catch (error) {
+      stats.skipped.push(`${name}: ${error.message}`);
+      continue;
+    }
+    const encoded = result.bytes;
+    // An image that doesn't get smaller is left as it is
+    if (encoded.byteLength >= bytes.byteLength) {
+      stats.skipped.push(`${name}: ${options.format.toUpperCase()} is not smaller than the ${image.mimeType} original`);
+      continue;
+    }
+
+    length = (length + 3) & ~3;
+    chunks.push({ offset: length, bytes: encoded });
+    json.bufferViews.push({ buffer: 0, byteOffset: length, byteLength: encoded.byteLength });
+    length += encoded.byteLength;
+
+    if (options.keepFallback) {
+      json.images.push({ ...(image.name ? { name: image.name } : {}), bufferView: json.bufferViews.length - 1, mimeType });
+      replacements.set(index, json.images.length - 1);
+    } else {
+      image.bufferView = json.bufferViews.length - 1;
+      image.mimeType = mimeType;
+      replacements.set(index, index);
+    }
+    stats.encoded++;
+    if (result.withAlpha) stats.withAlpha++;
+    stats.bytesBefore += bytes.byteLength;
+    stats.bytesAfter += encoded.byteLength;
+  }
+
+  if (replacements.size === 0) return { glb, stats };
+
+  for (const texture of json.textures) {
+    if (!replacements.has(texture.source)) continue;
+    texture.extensions = { ...texture.extensions, [extension]: { source: replacements.get(texture.source) } };
+    if (!options.keepFallback) delete texture.source;
+  }
+  json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), extension])];
+  if (!options.keepFallback) {
+    json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), extension])];
+  }
+
+  const merged = new Uint8Array(length);
+  merged.set(bin);
+  chunks.forEach(({ offset, bytes }) => merged.set(bytes, offset));
+  json.buffers[0].byteLength = length;
+  // Replaced originals' buffer views are no longer referenced
+  const output = pruneGlb(json, merged);
+  return { glb: writeGlb(json, output), stats };
+}
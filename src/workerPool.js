@@ -0,0 +1,119 @@
+// Fixed-size pool of module workers that run one message at a time each.
+//
+// Tasks are queued and handed to the first idle worker; the per-task timeout
+// starts when a worker picks the task up, not when it is queued. A worker that
+// times out or throws is terminated and replaced so the pool keeps its size.
+
+export class WorkerPool {
+  /*
+   * @param {() => Worker} createWorker - Factory for a fresh worker
+   * @param {number} [size] - Number of workers, defaults to navigator.hardwareConcurrency
+   */
+  constructor(createWorker, size = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4) {
+    this.createWorker = createWorker;
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+
+    // Create the first worker right away so an environment without worker support fails loudly here
+    this.addWorker();
+  }
+
+  addWorker() {
+    const worker = this.createWorker();
+    this.workers.push(worker);
+    this.idle.push(worker);
+    return worker;
+  }
+
+  replaceWorker(worker) {
+    worker.terminate();
+    this.workers = this.workers.filter((w) => w !== worker);
+    try {
+      this.addWorker();
+    } catch (error) {
+      console.error('Could not replace pool worker:', error);
+    }
+  }
+
+  /*
+   * @param {*} message - Posted to the worker as-is
+   * @param {Transferable[]} [transferables] - Buffers handed over with the message
+   * @param {number} [timeout=60000] - Milliseconds before the task is abandoned
+   * @returns {Promise<*>} - Resolves with the data of the worker's reply
+   */
+  run(message, transferables = [], timeout = 60000) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, transferables, timeout, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) {
+        try {
+          this.addWorker();
+        } catch (error) {
+          console.warn('Could not grow worker pool:', error);
+        }
+      }
+      if (this.idle.length === 0) return;
+
+      const worker = this.idle.pop();
+      const task = this.queue.shift();
+      this.execute(worker, task);
+    }
+  }
+
+  execute(worker, task) {
+    let settled = false;
+
+    const finish = (healthy) => {
+      settled = true;
+      clearTimeout(timeoutId);
+      worker.onmessage = null;
+      worker.onerror = null;
+      if (healthy) {
+        this.idle.push(worker);
+      } else {
+        this.replaceWorker(worker);
+      }
+      this.dispatch();
+    };
+
+    const timeoutId = setTimeout(() => {
+      if (settled) return;
+      finish(false);
+      task.reject(new Error(`Worker timed out after ${task.timeout}ms`));
+    }, task.timeout);
+
+    worker.onmessage = (e) => {
+      if (settled) return;
+      finish(true);
+      task.resolve(e.data);
+    };
+
+    worker.onerror = (error) => {
+      if (settled) return;
+      finish(false);
+      task.reject(error instanceof Error ? error : new Error(error.message || 'Worker error'));
+    };
+
+    try {
+      worker.postMessage(task.message, task.transferables);
+    } catch (postError) {
+      finish(true);
+      task.reject(postError);
+    }
+  }
+
+  terminate() {
+    this.workers.forEach((worker) => worker.terminate());
+    this.workers = [];
+    this.idle = [];
+    this.queue.forEach((task) => task.reject(new Error('Worker pool terminated')));
+    this.queue = [];
+  }
+}
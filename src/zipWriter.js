@@ -0,0 +1,102 @@
+// Minimal ZIP writer for downloads made of several files. Entries are deflated
+// with the browser's CompressionStream where that makes them smaller, and stored
+// otherwise. No ZIP64, so the archive must stay under 4 GB.
+// https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8_NAME = 0x0800;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    // deflate-raw is not supported by every CompressionStream implementation
+    return null;
+  }
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/*
+ * @param {{name: string, data: Uint8Array}[]} entries - Files to store, `name` being the path inside the archive
+ * @returns {Promise<Blob>} - application/zip
+ */
+export async function createZip(entries) {
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = new TextEncoder().encode(entry.name);
+    const deflated = await deflateRaw(entry.data);
+    const compressed = deflated && deflated.length < entry.data.length ? deflated : entry.data;
+    const method = compressed === entry.data ? METHOD_STORE : METHOD_DEFLATE;
+    const crc = crc32(entry.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed: 2.0
+    local.setUint16(6, FLAG_UTF8_NAME, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, compressed.length, true);
+    local.setUint32(22, entry.data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, compressed);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, FLAG_UTF8_NAME, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, compressed.length, true);
+    central.setUint32(24, entry.data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralDirectory.push(central, name);
+
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = centralDirectory.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
@@ -1,8 +1,51 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createRequire } from 'node:module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 
+// three's Draco decoder and Basis transcoder, served from /draco/ and /basis/ in dev
+// and copied into the build, so compressed models load without a CDN (see
+// src/dracoDecoder.js and src/ktx2Decoder.js)
+const resolveThreeLib = (file) => path.dirname(createRequire(import.meta.url).resolve(`three/examples/jsm/libs/${file}`))
+const DRACO_DECODER_DIR = resolveThreeLib('draco/gltf/draco_decoder.wasm')
+const DRACO_DECODER_FILES = ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+const BASIS_TRANSCODER_DIR = resolveThreeLib('basis/basis_transcoder.wasm')
+const BASIS_TRANSCODER_FILES = ['basis_transcoder.js', 'basis_transcoder.wasm']
+
+function libraryAssets(name, base, dir, files) {
+  return {
+    name,
+    configureServer(server) {
+      server.middlewares.use(`/${base}`, (req, res, next) => {
+        const file = path.basename(req.url.split('?')[0])
+        if (!files.includes(file)) return next()
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        fs.createReadStream(path.join(dir, file)).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const file of files) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${base}/${file}`,
+          source: fs.readFileSync(path.join(dir, file)),
+        })
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [
+    react(),
+    tailwindcss(),
+    libraryAssets('draco-decoder-assets', 'draco', DRACO_DECODER_DIR, DRACO_DECODER_FILES),
+    libraryAssets('basis-transcoder-assets', 'basis', BASIS_TRANSCODER_DIR, BASIS_TRANSCODER_FILES),
+  ],
+  // ktx2-encoder finds its .wasm next to itself (new URL(..., import.meta.url)),
+  // which pre-bundling would break
+  optimizeDeps: { exclude: ['ktx2-encoder'] },
 })